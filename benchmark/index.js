@@ -0,0 +1,124 @@
+// Ticks per second of simulatePlayer in a few scenarios. The path of another checkout of prismarine-physics can be
+// given to compare with it, e.g. `npm run benchmark -- ../prismarine-physics-master`
+const path = require('path')
+const { Vec3 } = require('vec3')
+
+const version = '1.20.4'
+const mcData = require('minecraft-data')(version)
+const Block = require('prismarine-block')(version)
+
+const warmUpMs = 1000
+const durationMs = 2000
+
+// Blocks are created once, like a loaded world returning its blocks
+function makeWorld (getType) {
+  const blocks = new Map()
+  return {
+    getBlock: (pos) => {
+      const x = Math.floor(pos.x)
+      const y = Math.floor(pos.y)
+      const z = Math.floor(pos.z)
+      const key = ((x + 1024) * 2048 + y + 1024) * 2048 + z + 1024
+      let block = blocks.get(key)
+      if (!block) {
+        const [name, properties] = [].concat(getType(x, y, z))
+        const descriptor = mcData.blocksByName[name]
+        block = Block.fromProperties(descriptor.id, properties ?? {}, 0)
+        block.position = new Vec3(x, y, z)
+        blocks.set(key, block)
+      }
+      return block
+    }
+  }
+}
+
+const scenarios = [
+  {
+    name: 'walking',
+    world: makeWorld((x, y, z) => y < 60 ? 'stone' : 'air'),
+    pos: [0.5, 60, 0.5],
+    control: { forward: true }
+  },
+  {
+    name: 'sprint jumping',
+    world: makeWorld((x, y, z) => y < 60 ? 'stone' : 'air'),
+    pos: [0.5, 60, 0.5],
+    control: { forward: true, sprint: true, jump: true }
+  },
+  {
+    name: 'swimming',
+    world: makeWorld((x, y, z) => y < 40 ? 'stone' : y < 60 ? ['water', { level: 0 }] : 'air'),
+    pos: [0.5, 50, 0.5],
+    pitch: -0.3,
+    control: { forward: true, sprint: true }
+  },
+  {
+    name: 'climbing ladders',
+    world: makeWorld((x, y, z) => y < 60 ? 'stone' : z === -1 ? 'stone' : z === 0 ? ['ladder', { facing: 'south', waterlogged: 'false' }] : 'air'),
+    pos: [0.5, 60, 0.5],
+    control: { forward: true, jump: true }
+  }
+]
+
+// From a bot, like mineflayer does, which every version of PlayerState supports
+function createState (PlayerState, scenario) {
+  const bot = {
+    entity: {
+      position: new Vec3(...scenario.pos),
+      velocity: new Vec3(0, 0, 0),
+      onGround: true,
+      isInWater: false,
+      isInLava: false,
+      isInWeb: false,
+      isCollidedHorizontally: false,
+      isCollidedVertically: false,
+      elytraFlying: false,
+      yaw: 0,
+      pitch: scenario.pitch ?? 0,
+      effects: {}
+    },
+    jumpTicks: 0,
+    jumpQueued: false,
+    fireworkRocketDuration: 0,
+    version,
+    inventory: { slots: [] }
+  }
+  return new PlayerState(bot, { forward: false, back: false, left: false, right: false, jump: false, sprint: false, sneak: false, ...scenario.control })
+}
+
+// Put the player back at the start of the scenario
+function resetState (state, scenario) {
+  state.pos = new Vec3(...scenario.pos)
+  state.vel = new Vec3(0, 0, 0)
+  state.onGround = true
+  state.jumpTicks = 0
+  state.pose = 'standing'
+  state.swimming = false
+  state.fallDistance = 0
+}
+
+// The state is reset every 100 ticks, to stay in the scenario
+function measure (lib, scenario, durationMs) {
+  const physics = lib.Physics(mcData, scenario.world)
+  const state = createState(lib.PlayerState, scenario)
+  let ticks = 0
+  const start = process.hrtime.bigint()
+  const end = start + BigInt(durationMs * 1e6)
+  let now = start
+  while (now < end) {
+    resetState(state, scenario)
+    for (let i = 0; i < 100; i++) physics.simulatePlayer(state, scenario.world)
+    ticks += 100
+    now = process.hrtime.bigint()
+  }
+  return ticks / (Number(now - start) / 1e9)
+}
+
+const libs = [['current', require('..')]]
+if (process.argv[2]) libs.push([process.argv[2], require(path.resolve(process.argv[2]))])
+
+for (const scenario of scenarios) {
+  for (const [, lib] of libs) measure(lib, scenario, warmUpMs)
+  const results = libs.map(([name, lib]) => `${name}: ${Math.round(measure(lib, scenario, durationMs))} ticks/s`)
+  console.log(`${scenario.name.padEnd(18)} ${results.join(', ')}`)
+}
@@ -3,6 +3,7 @@ const AABB = require('./lib/aabb')
 const math = require('./lib/math')
 const features = require('./lib/features')
 const attribute = require('./lib/attribute')
+const CollisionCache = require('./lib/collisionCache')
 
 // This class parses features.json
 //
@@ -53,7 +54,7 @@ class FeatureList {
   }
 };
 
-function Physics (mcData, world) {
+function Physics (mcData, world, options = {}) {
   const supportedFeatureList = new FeatureList(features, mcData.version)
   const supportFeature = (name) => supportedFeatureList.supportFeature(name)
   const blocksByName = mcData.blocksByName
@@ -75,10 +76,16 @@ function Physics (mcData, world) {
   // Block ids
   const soulsandId = blocksByName.soul_sand.id
   const honeyblockId = blocksByName.honey_block ? blocksByName.honey_block.id : -1 // 1.15+
+  const soulSpeedBlockIds = new Set(['soul_sand', 'soul_soil'].filter(name => blocksByName[name]).map(name => blocksByName[name].id))
   const webId = blocksByName.cobweb ? blocksByName.cobweb.id : blocksByName.web.id
+  const powderSnowId = supportFeature('powderSnow') ? blocksByName.powder_snow.id : -1 // 1.17+
+  const sweetBerryBushId = blocksByName.sweet_berry_bush ? blocksByName.sweet_berry_bush.id : -1 // 1.14+
+  const scaffoldingId = supportFeature('scaffolding') ? blocksByName.scaffolding.id : -1 // 1.14+
   const waterIds = [blocksByName.water.id, blocksByName.flowing_water ? blocksByName.flowing_water.id : -1]
   const lavaIds = [blocksByName.lava.id, blocksByName.flowing_lava ? blocksByName.flowing_lava.id : -1]
   const ladderId = blocksByName.ladder.id
+  const hayBlockId = blocksByName.hay_block.id
+  const bedIds = new Set(mcData.blocksArray.filter(block => block.name.endsWith('bed')).map(block => block.id))
 
   // NOTE: Copper trapdoors is coming in 1.21.
   const trapdoorIds = new Set()
@@ -94,7 +101,11 @@ function Physics (mcData, world) {
   if (blocksByName.mangrove_trapdoor) { trapdoorIds.add(blocksByName.mangrove_trapdoor.id) } // 1.19+
   if (blocksByName.cherry_trapdoor) { trapdoorIds.add(blocksByName.cherry_trapdoor.id) } // 1.20+
 
-  const vineId = blocksByName.vine.id
+  // Blocks of the #minecraft:climbable tag existing in this version
+  const climbableBlockNames = ['ladder', 'vine', 'scaffolding', 'weeping_vines', 'weeping_vines_plant', 'twisting_vines',
+    'twisting_vines_plant', 'cave_vines', 'cave_vines_plant']
+  const climbableBlockIds = new Set(climbableBlockNames.filter(name => blocksByName[name]).map(name => blocksByName[name].id))
+
   const waterLike = new Set()
   if (blocksByName.seagrass) waterLike.add(blocksByName.seagrass.id) // 1.13+
   if (blocksByName.tall_seagrass) waterLike.add(blocksByName.tall_seagrass.id) // 1.13+
@@ -103,6 +114,33 @@ function Physics (mcData, world) {
   const bubblecolumnId = blocksByName.bubble_column ? blocksByName.bubble_column.id : -1 // 1.13+
   if (blocksByName.bubble_column) waterLike.add(bubblecolumnId)
 
+  // Blocks whose collision shape depends on the entity, see getEntityBlockShapes
+  const entityShapedBlockIds = new Set([powderSnowId, scaffoldingId])
+  const fullBlockShapes = [[0, 0, 0, 1, 1, 1]]
+  const scaffoldingBottomShapes = [[0, 0, 0, 1, 0.125, 1]]
+  const noShapes = []
+
+  // Rails, keyed by block id (golden_rail is the pre-1.13 name of powered_rail)
+  const railIds = new Set([blocksByName.rail.id, blocksByName.detector_rail.id, blocksByName.activator_rail.id])
+  const poweredRailId = blocksByName.powered_rail ? blocksByName.powered_rail.id : blocksByName.golden_rail.id
+  railIds.add(poweredRailId)
+  // Ordered by legacy metadata value
+  const railShapes = ['north_south', 'east_west', 'ascending_east', 'ascending_west', 'ascending_north',
+    'ascending_south', 'south_east', 'south_west', 'north_west', 'north_east']
+  // The two ends of each rail shape, relative to the rail block
+  const railExits = {
+    north_south: [new Vec3(0, 0, -1), new Vec3(0, 0, 1)],
+    east_west: [new Vec3(-1, 0, 0), new Vec3(1, 0, 0)],
+    ascending_east: [new Vec3(-1, -1, 0), new Vec3(1, 0, 0)],
+    ascending_west: [new Vec3(-1, 0, 0), new Vec3(1, -1, 0)],
+    ascending_north: [new Vec3(0, 0, -1), new Vec3(0, -1, 1)],
+    ascending_south: [new Vec3(0, -1, -1), new Vec3(0, 0, 1)],
+    south_east: [new Vec3(0, 0, 1), new Vec3(1, 0, 0)],
+    south_west: [new Vec3(0, 0, 1), new Vec3(-1, 0, 0)],
+    north_west: [new Vec3(0, 0, -1), new Vec3(-1, 0, 0)],
+    north_east: [new Vec3(0, 0, -1), new Vec3(1, 0, 0)]
+  }
+
   const physics = {
     gravity: 0.08, // blocks/tick^2 https://minecraft.gamepedia.com/Entity#Motion_of_entities
     airdrag: Math.fround(1 - 0.02), // actually (1 - drag)
@@ -113,14 +151,34 @@ function Physics (mcData, world) {
     sneakSpeed: 0.3,
     stepHeight: 0.6, // how much height can the bot step on without jump
     negligeableVelocity: 0.003, // actually 0.005 for 1.8, but seems fine
-    soulsandSpeed: 0.4,
-    honeyblockSpeed: 0.4,
-    honeyblockJumpSpeed: 0.4,
+    // Horizontal speed and jump speed multipliers of the blocks under the player, by block id (Block.getSpeedFactor and
+    // Block.getJumpFactor)
+    blockSpeedFactors: {
+      [soulsandId]: 0.4
+    },
+    blockJumpFactors: {},
+    // Soul Speed adds soulSpeedModifier * (1 + level * soulSpeedLevelModifier) to the movement speed on soul sand and
+    // soul soil, and cancels their speed factor (LivingEntity.tryAddSoulSpeed)
+    soulSpeedUUID: '87f46a96-686f-4796-b035-22e16ee9e038',
+    soulSpeedModifier: Math.fround(0.03),
+    soulSpeedLevelModifier: Math.fround(0.35),
     ladderMaxSpeed: 0.15,
     ladderClimbSpeed: 0.2,
     playerHalfWidth: 0.3,
     playerHeight: 1.8,
+    playerEyeHeight: 1.62,
+    // Hitbox of the other player poses (1.14+, swimming is 1.13+), the standing pose uses playerHalfWidth, playerHeight and playerEyeHeight
+    playerPoses: {
+      crouching: { halfWidth: 0.3, height: 1.5, eyeHeight: 1.27 },
+      swimming: { halfWidth: 0.3, height: 0.6, eyeHeight: 0.4 }, // also used for crawling
+      fall_flying: { halfWidth: 0.3, height: 0.6, eyeHeight: 0.4 },
+      spin_attack: { halfWidth: 0.3, height: 0.6, eyeHeight: 0.4 },
+      sleeping: { halfWidth: 0.1, height: 0.2, eyeHeight: 0.2 }
+    },
     waterInertia: 0.8,
+    sprintingWaterInertia: 0.9, // 1.13+
+    swimmingVerticalAcceleration: 0.06, // proportion of the look direction reached every tick when swimming
+    swimmingDownAcceleration: 0.085, // same, when looking down more than 0.2
     lavaInertia: 0.5,
     liquidAcceleration: 0.02,
     airborneInertia: 0.91,
@@ -141,8 +199,118 @@ function Physics (mcData, world) {
       maxUp: 0.7
     },
     slowFalling: 0.125,
+    flyingSprintMultiplier: 2.0,
+    flyingVerticalSpeed: 3.0, // proportion of the flying speed added to the vertical velocity by jump and sneak
+    flyingVerticalDrag: 0.6,
+    // Passive motion of non-player entities, keyed by minecraft-data entity name.
+    // Entities without a profile use the 'living' one.
+    //  - gravity: subtracted from vel.y every tick, before the move if gravityFirst is set
+    //  - drag / horizontalDrag: vertical and horizontal velocity multipliers
+    //  - groundFriction: multiply the horizontal drag by the slipperiness of the block below when on ground
+    //  - groundHorizontalDrag / groundVerticalDrag: extra multipliers when on ground (bounce if negative)
+    entityProfiles: {
+      living: { gravity: 0.08, gravityFirst: false, drag: 0.98, horizontalDrag: 0.91, groundFriction: true, groundHorizontalDrag: 1, groundVerticalDrag: 1, stepHeight: 0.6 },
+      item: { gravity: 0.04, gravityFirst: true, drag: 0.98, horizontalDrag: 0.98, groundFriction: true, groundHorizontalDrag: 1, groundVerticalDrag: -0.5, stepHeight: 0 },
+      experience_orb: { gravity: 0.03, gravityFirst: true, drag: 0.98, horizontalDrag: 0.98, groundFriction: true, groundHorizontalDrag: 1, groundVerticalDrag: -0.9, stepHeight: 0 },
+      falling_block: { gravity: 0.04, gravityFirst: true, drag: 0.98, horizontalDrag: 0.98, groundFriction: false, groundHorizontalDrag: 0.7, groundVerticalDrag: -0.5, stepHeight: 0 },
+      tnt: { gravity: 0.04, gravityFirst: true, drag: 0.98, horizontalDrag: 0.98, groundFriction: false, groundHorizontalDrag: 0.7, groundVerticalDrag: -0.5, stepHeight: 0 }
+    },
+    // Projectiles move first, then apply drag and gravity (AbstractArrow and ThrowableProjectile).
+    // Blocks are hit by the center point, size is only used to check if the projectile is in water.
+    projectileProfiles: {
+      arrow: { gravity: 0.05, drag: 0.99, waterDrag: 0.6, size: 0.5 },
+      spectral_arrow: { gravity: 0.05, drag: 0.99, waterDrag: 0.6, size: 0.5 },
+      trident: { gravity: 0.05, drag: 0.99, waterDrag: 0.99, size: 0.5 },
+      snowball: { gravity: 0.03, drag: 0.99, waterDrag: 0.8, size: 0.25 },
+      egg: { gravity: 0.03, drag: 0.99, waterDrag: 0.8, size: 0.25 },
+      ender_pearl: { gravity: 0.03, drag: 0.99, waterDrag: 0.8, size: 0.25 },
+      potion: { gravity: 0.05, drag: 0.99, waterDrag: 0.8, size: 0.25 },
+      experience_bottle: { gravity: 0.07, drag: 0.99, waterDrag: 0.8, size: 0.25 }
+    },
+    boatWidth: 1.375,
+    boatHeight: 0.5625,
+    boatGravity: 0.04,
+    boatForwardAcceleration: 0.04,
+    boatBackwardAcceleration: 0.005,
+    boatTurnAcceleration: 0.005,
+    boatTurnSpeed: Math.PI / 180, // radians/tick^2
+    boatAirInertia: 0.9,
+    boatWaterInertia: 0.9,
+    boatUnderWaterInertia: 0.45,
+    boatDefaultInertia: 0.05, // used when snapping onto the water surface
+    minecartWidth: 0.98,
+    minecartHeight: 0.7,
+    minecartGravity: 0.04,
+    minecartWaterGravity: 0.005,
+    minecartMaxSpeed: 0.4,
+    minecartWaterMaxSpeed: 0.2,
+    minecartSlopeAcceleration: 0.0078125,
+    minecartPoweredAcceleration: 0.06,
+    minecartKickStartSpeed: 0.02, // speed given by a powered rail next to a solid block to a still cart
+    minecartBrakeMinSpeed: 0.03, // unpowered powered rails stop carts slower than this
+    minecartDrag: 0.96,
+    minecartRiddenDrag: 0.997,
+    minecartWaterDrag: Math.fround(0.95), // extra drag of minecarts on rails in water
+    minecartRiddenSpeedFactor: 0.75,
+    minecartMaxRailSpeed: 2.0,
+    // Rideable mounts, keyed by minecraft-data entity name. movementSpeed and jumpStrength are the
+    // attribute base values used when the server did not send them.
+    //  - horse: the rider strafes at half speed, walks backwards at quarter speed and charges jumps
+    //  - camel: like a horse, but jumping is a dash, and sprinting is faster
+    //  - steered: always walks forward (carrot or warped fungus on a stick)
+    mountProfiles: {
+      horse: { type: 'horse', movementSpeed: 0.225, jumpStrength: 0.7, stepHeight: 1 },
+      donkey: { type: 'horse', movementSpeed: 0.175, jumpStrength: 0.5, stepHeight: 1 },
+      mule: { type: 'horse', movementSpeed: 0.175, jumpStrength: 0.5, stepHeight: 1 },
+      skeleton_horse: { type: 'horse', movementSpeed: 0.2, jumpStrength: 0.7, stepHeight: 1 },
+      zombie_horse: { type: 'horse', movementSpeed: 0.2, jumpStrength: 0.7, stepHeight: 1 },
+      camel: { type: 'camel', movementSpeed: 0.09, jumpStrength: 0.42, stepHeight: 1.5 },
+      pig: { type: 'steered', movementSpeed: 0.25, riddenSpeedFactor: 0.225, stepHeight: 1 },
+      strider: { type: 'steered', movementSpeed: 0.175, riddenSpeedFactor: 0.55, coldSpeedFactor: 0.35, stepHeight: 1, walkOnLava: true }
+    },
+    mountAirborneSpeedFactor: 0.1, // horses accelerate in air by this proportion of their speed
+    mountForwardJumpSpeed: 0.4,
+    camelDashCooldown: 55, // ticks
+    camelDashSpeed: 22.2222,
+    camelDashJumpSpeed: 1.4285,
+    camelSprintSpeed: 0.1,
+    knockbackResistanceAttribute: mcData.attributesByName.knockbackResistance.resource,
+    explosionKnockbackResistanceAttribute: mcData.attributesByName.explosionKnockbackResistance?.resource, // 1.20.5+
+    safeFallDistance: 3,
+    safeFallDistanceAttribute: mcData.attributesByName.safeFallDistance?.resource, // 1.20.5+
+    fallDamageMultiplierAttribute: mcData.attributesByName.fallDamageMultiplier?.resource, // 1.20.5+
+    horseJumpStrengthAttribute: (mcData.attributesByName.horseJumpStrength ?? mcData.attributesByName.jumpStrength).resource,
+    projectileEntityMargin: 0.3, // entity boxes are inflated by this much when testing projectile hits
+    projectileMaxTicks: 200,
     movementSpeedAttribute: mcData.attributesByName.movementSpeed.resource,
-    sprintingUUID: '662a6b8d-da3e-4c1c-8813-96ea6097278d' // SPEED_MODIFIER_SPRINTING_UUID is from LivingEntity.java
+    sprintingUUID: '662a6b8d-da3e-4c1c-8813-96ea6097278d', // SPEED_MODIFIER_SPRINTING_UUID is from LivingEntity.java
+    // Movement speed modifiers of the Speed and Slowness effects, per level (MobEffects.java)
+    speedEffectUUID: '91aeaa56-376b-4498-935b-2f7f68070635',
+    speedEffectModifier: 0.2,
+    slownessEffectUUID: '7107de5e-7ce8-4030-940e-514c1f160890',
+    slownessEffectModifier: -0.15,
+    climbableBlockIds, // Set of the block ids of ladders, vines and the other blocks of the climbable tag
+    // Movement multipliers of the entities inside cobwebs, sweet berry bushes or powder snow, by block id
+    // (Entity.makeStuckInBlock)
+    stuckInBlockMultipliers: {
+      [webId]: { x: 0.25, y: 0.05, z: 0.25 }
+    },
+    powderSnowFallingHeight: Math.fround(0.9) // height of the powder snow that entities falling more than 2.5 blocks land on
+  }
+
+  if (honeyblockId !== -1) {
+    physics.blockSpeedFactors[honeyblockId] = 0.4
+    physics.blockJumpFactors[honeyblockId] = 0.5
+  }
+  if (sweetBerryBushId !== -1) physics.stuckInBlockMultipliers[sweetBerryBushId] = { x: Math.fround(0.8), y: 0.75, z: Math.fround(0.8) }
+  if (powderSnowId !== -1) physics.stuckInBlockMultipliers[powderSnowId] = { x: Math.fround(0.9), y: 1.5, z: Math.fround(0.9) }
+
+  // The modifiers are identified by namespaced ids since 1.21, sent in the uuid field of the modifiers
+  if (supportFeature('attributeModifierIds')) {
+    physics.sprintingUUID = 'minecraft:sprinting'
+    physics.speedEffectUUID = 'minecraft:effect.speed'
+    physics.slownessEffectUUID = 'minecraft:effect.slowness'
+    physics.soulSpeedUUID = 'minecraft:enchantment.soul_speed'
   }
 
   if (supportFeature('independentLiquidGravity')) {
@@ -155,30 +323,257 @@ function Physics (mcData, world) {
     throw new Error('No liquid gravity settings, have you made sure the liquid gravity features are up to date?')
   }
 
-  function getPlayerBB (pos) {
-    const w = physics.playerHalfWidth
-    return new AABB(-w, 0, -w, w, physics.playerHeight, w).offset(pos.x, pos.y, pos.z)
+  const horizontalDirections = [[0, 1], [-1, 0], [0, -1], [1, 0]]
+
+  // The hot path of the simulations reuses these boxes and vectors instead of allocating new ones every tick. Each
+  // one belongs to a single function, and is only valid until that function is called again.
+  const scratch = {
+    playerBB: new AABB(0, 0, 0, 0, 0, 0),
+    waterBB: new AABB(0, 0, 0, 0, 0, 0),
+    lavaBB: new AABB(0, 0, 0, 0, 0, 0),
+    poseBB: new AABB(0, 0, 0, 0, 0, 0),
+    validationBB: new AABB(0, 0, 0, 0, 0, 0),
+    sneakBB: new AABB(0, 0, 0, 0, 0, 0),
+    entityBB: new AABB(0, 0, 0, 0, 0, 0),
+    queryBB: new AABB(0, 0, 0, 0, 0, 0),
+    oldBB: new AABB(0, 0, 0, 0, 0, 0),
+    oldBBCol: new AABB(0, 0, 0, 0, 0, 0),
+    stepQueryBB: new AABB(0, 0, 0, 0, 0, 0),
+    stepBB1: new AABB(0, 0, 0, 0, 0, 0),
+    stepBB2: new AABB(0, 0, 0, 0, 0, 0),
+    stepBBXZ: new AABB(0, 0, 0, 0, 0, 0),
+    liquidJumpBB: new AABB(0, 0, 0, 0, 0, 0),
+    boatBB: new AABB(0, 0, 0, 0, 0, 0),
+    boatWaterBB: new AABB(0, 0, 0, 0, 0, 0),
+    boatGroundBB: new AABB(0, 0, 0, 0, 0, 0),
+    vehicleBB: new AABB(0, 0, 0, 0, 0, 0),
+    moveCursor: new Vec3(0, 0, 0),
+    surroundingCursor: new Vec3(0, 0, 0),
+    collisionCursor: new Vec3(0, 0, 0),
+    materialCursor: new Vec3(0, 0, 0),
+    waterCursor: new Vec3(0, 0, 0),
+    flowCursor: new Vec3(0, 0, 0),
+    flow: new Vec3(0, 0, 0),
+    current: new Vec3(0, 0, 0),
+    ladderCursor: new Vec3(0, 0, 0),
+    snowCursor: new Vec3(0, 0, 0),
+    factorCursor: new Vec3(0, 0, 0),
+    headingCursor: new Vec3(0, 0, 0),
+    poseCursor: new Vec3(0, 0, 0),
+    fallCursor: new Vec3(0, 0, 0),
+    lavaCursor: new Vec3(0, 0, 0),
+    lavaAboveCursor: new Vec3(0, 0, 0),
+    liquidJumpPos: new Vec3(0, 0, 0),
+    lookDir: new Vec3(0, 0, 0),
+    looking: {}
+  }
+
+  // The boxes of the blocks returned by getSurroundingBBs come from a pool, which is released at the start of
+  // every simulated tick
+  const blockBBPool = []
+  let blockBBPoolSize = 0
+
+  function nextBlockBB () {
+    if (blockBBPoolSize === blockBBPool.length) blockBBPool.push(new AABB(0, 0, 0, 0, 0, 0))
+    return blockBBPool[blockBBPoolSize++]
+  }
+
+  function releaseBlockBBs () {
+    blockBBPoolSize = 0
+  }
+
+  // The box is written to out if given
+  function getPlayerBB (pos, pose = 'standing', out = new AABB(0, 0, 0, 0, 0, 0)) {
+    const dimensions = physics.playerPoses[pose]
+    const w = dimensions ? dimensions.halfWidth : physics.playerHalfWidth
+    const height = dimensions ? dimensions.height : physics.playerHeight
+    return out.set(pos.x - w, pos.y, pos.z - w, pos.x + w, pos.y + height, pos.z + w)
+  }
+
+  function getPlayerEyeHeight (pose) {
+    const dimensions = physics.playerPoses[pose]
+    return dimensions ? dimensions.eyeHeight : physics.playerEyeHeight
+  }
+
+  // Player states have no entity type name, and use the hitbox of their pose
+  function isPlayerEntity (entity) {
+    return entity.name === undefined && entity.width === undefined
+  }
+
+  // Width and height of a non-player entity: its own ones, or the minecraft-data ones of its type
+  function getEntityDimensions (entity) {
+    if (entity.width !== undefined) return entity
+    const entityDescriptor = mcData.entitiesByName[entity.name]
+    if (!entityDescriptor || entityDescriptor.width == null) {
+      throw new Error(`Unknown hitbox for entity type '${entity.name}'`)
+    }
+    return entityDescriptor
+  }
+
+  // Entities without a profile of their own use the living one, but the boats, minecarts and projectiles are not
+  // living entities. minecraft-data tells them apart by type, or by category in the versions typing every entity as mob
+  const nonLivingEntityTypes = new Set(['other', 'projectile'])
+  const nonLivingEntityCategories = new Set(['Projectiles', 'Vehicles', 'Drops', 'Blocks'])
+  function isLivingEntity (entity) {
+    if (isPlayerEntity(entity)) return true
+    if (getEntityProfile(entity) !== physics.entityProfiles.living) return false
+    const entityDescriptor = mcData.entitiesByName[entity.name]
+    return !entityDescriptor || (!nonLivingEntityTypes.has(entityDescriptor.type) && !nonLivingEntityCategories.has(entityDescriptor.category))
+  }
+
+  function getEntityHalfWidth (entity) {
+    if (!isPlayerEntity(entity)) return getEntityDimensions(entity).width / 2
+    const dimensions = physics.playerPoses[entity.pose]
+    return dimensions ? dimensions.halfWidth : physics.playerHalfWidth
+  }
+
+  function getEntityBB (entity, pos, out = new AABB(0, 0, 0, 0, 0, 0)) {
+    if (isPlayerEntity(entity)) return getPlayerBB(pos, entity.pose, out)
+    const { width, height } = getEntityDimensions(entity)
+    const w = width / 2
+    return out.set(pos.x - w, pos.y, pos.z - w, pos.x + w, pos.y + height, pos.z + w)
   }
 
-  function setPositionToBB (bb, pos) {
-    pos.x = bb.minX + physics.playerHalfWidth
+  function setPositionToBB (entity, bb, pos) {
+    const halfWidth = getEntityHalfWidth(entity)
+    pos.x = bb.minX + halfWidth
     pos.y = bb.minY
-    pos.z = bb.minZ + physics.playerHalfWidth
+    pos.z = bb.minZ + halfWidth
+  }
+
+  // Collision cache used for the given world if any: the one of this instance (options.collisionCache, a
+  // CollisionCache that can be shared by several instances, or true to create one for the world given to Physics),
+  // or the temporary one of a search running in a world that can tell the cache about its changes
+  physics.collisionCache = options.collisionCache === true ? new CollisionCache(world) : (options.collisionCache ?? null)
+  let searchCollisionCache = null
+
+  function getCollisionCache (world) {
+    if (physics.collisionCache && physics.collisionCache.world === world) return physics.collisionCache
+    if (searchCollisionCache && searchCollisionCache.world === world) return searchCollisionCache
+    return null
+  }
+
+  // The world doesn't change during the simulated ticks of a search, so its blocks can be cached until it ends
+  function withCollisionCache (world, search) {
+    if (getCollisionCache(world) || !CollisionCache.canTrack(world)) return search()
+    const previous = searchCollisionCache
+    searchCollisionCache = new CollisionCache(world)
+    try {
+      return search()
+    } finally {
+      searchCollisionCache.close()
+      searchCollisionCache = previous
+    }
+  }
+
+  // Block at a position, read from the collision cache of the world if any
+  function getCachedBlock (world, pos) {
+    if (physics.collisionCache === null && searchCollisionCache === null) return world.getBlock(pos)
+    const cache = getCollisionCache(world)
+    if (!cache) return world.getBlock(pos)
+    const entry = cache.getBlock(Math.floor(pos.x), Math.floor(pos.y), Math.floor(pos.z))
+    return entry && entry.block
+  }
+
+  // Collision shapes of the blocks depending on the entity colliding with them, or null for the other blocks. y is the
+  // height of the block.
+  function getEntityBlockShapes (entity, block, y) {
+    if (block.type === powderSnowId) {
+      // PowderSnowBlock.getCollisionShape, falling entities land on powder snow, and players wearing leather boots
+      // walk on top of it unless they sneak
+      if (entity.fallDistance > 2.5) return [[0, 0, 0, 1, physics.powderSnowFallingHeight, 1]]
+      if (entity.leatherBootsEquipped && entity.pos.y > y + 1 - 1e-5 && !isSneakingPlayer(entity)) return fullBlockShapes
+      return noShapes
+    }
+    if (block.type === scaffoldingId) {
+      // ScaffoldingBlock.getCollisionShape, the top holds entities above it unless they sneak, and the bottom of
+      // unsupported scaffolding holds entities above its bottom
+      if (entity.pos.y > y + 1 - 1e-5 && !isSneakingPlayer(entity)) return block.shapes
+      const properties = block.getProperties()
+      if (Number(properties.distance) !== 0 && properties.bottom && entity.pos.y > y - 1e-5) return scaffoldingBottomShapes
+      return noShapes
+    }
+    return null
   }
 
-  function getSurroundingBBs (world, queryBB) {
+  // If a positions array is given, the position of the block owning each returned shape is pushed to it at the same index.
+  // If an entity is given, the blocks whose collision depends on the entity (powder snow and scaffolding) collide with it.
+  function getSurroundingBBs (world, queryBB, positions, entity) {
     const surroundingBBs = []
-    const cursor = new Vec3(0, 0, 0)
+    const cache = getCollisionCache(world)
+    const cursor = scratch.surroundingCursor
     for (cursor.y = Math.floor(queryBB.minY) - 1; cursor.y <= Math.floor(queryBB.maxY); cursor.y++) {
       for (cursor.z = Math.floor(queryBB.minZ); cursor.z <= Math.floor(queryBB.maxZ); cursor.z++) {
         for (cursor.x = Math.floor(queryBB.minX); cursor.x <= Math.floor(queryBB.maxX); cursor.x++) {
-          const block = world.getBlock(cursor)
+          let block
+          if (cache) {
+            const entry = cache.getBlock(cursor.x, cursor.y, cursor.z)
+            if (!entry) continue
+            // The cached boxes do not depend on the entity
+            if (!entity || !entityShapedBlockIds.has(entry.type)) {
+              for (const blockBB of entry.boxes) {
+                surroundingBBs.push(blockBB)
+                if (positions) positions.push(entry.position.clone())
+              }
+              continue
+            }
+            block = entry.block
+          } else {
+            block = world.getBlock(cursor)
+          }
           if (block) {
             const blockPos = block.position
-            for (const shape of block.shapes) {
-              const blockBB = new AABB(shape[0], shape[1], shape[2], shape[3], shape[4], shape[5])
+            const shapes = (entity && getEntityBlockShapes(entity, block, cursor.y)) ?? block.shapes
+            for (const shape of shapes) {
+              const blockBB = nextBlockBB().set(shape[0], shape[1], shape[2], shape[3], shape[4], shape[5])
               blockBB.offset(blockPos.x, blockPos.y, blockPos.z)
               surroundingBBs.push(blockBB)
+              if (positions) positions.push(blockPos.clone())
+            }
+          }
+        }
+      }
+    }
+    return surroundingBBs
+  }
+
+  // Whether a box intersects the collision shapes of the blocks, like the boxes of getSurroundingBBs without building them
+  function collidesWithBlocks (world, bb, entity) {
+    const cursor = scratch.collisionCursor
+    for (cursor.y = Math.floor(bb.minY) - 1; cursor.y <= Math.floor(bb.maxY); cursor.y++) {
+      for (cursor.z = Math.floor(bb.minZ); cursor.z <= Math.floor(bb.maxZ); cursor.z++) {
+        for (cursor.x = Math.floor(bb.minX); cursor.x <= Math.floor(bb.maxX); cursor.x++) {
+          const block = getCachedBlock(world, cursor)
+          if (!block) continue
+          const shapes = (entity && getEntityBlockShapes(entity, block, cursor.y)) ?? block.shapes
+          for (const shape of shapes) {
+            if (bb.minX < shape[3] + cursor.x && bb.maxX > shape[0] + cursor.x &&
+              bb.minY < shape[4] + cursor.y && bb.maxY > shape[1] + cursor.y &&
+              bb.minZ < shape[5] + cursor.z && bb.maxZ > shape[2] + cursor.z) return true
+          }
+        }
+      }
+    }
+    return false
+  }
+
+  function isLavaSource (block) {
+    return block != null && lavaIds.includes(block.type) && block.metadata === 0
+  }
+
+  // Collision boxes for a moving entity. On top of the block shapes, entities that can walk on lava
+  // (striders) collide with the upper half of lava sources they are standing above.
+  function getEntityCollisionBBs (entity, world, queryBB) {
+    const surroundingBBs = getSurroundingBBs(world, queryBB, null, entity)
+    if (entity.walkOnLava) {
+      const cursor = scratch.lavaCursor
+      const above = scratch.lavaAboveCursor
+      for (cursor.y = Math.floor(queryBB.minY) - 1; cursor.y <= Math.floor(queryBB.maxY); cursor.y++) {
+        if (entity.pos.y < cursor.y + 0.5 - 1e-5) continue
+        for (cursor.z = Math.floor(queryBB.minZ); cursor.z <= Math.floor(queryBB.maxZ); cursor.z++) {
+          for (cursor.x = Math.floor(queryBB.minX); cursor.x <= Math.floor(queryBB.maxX); cursor.x++) {
+            if (isLavaSource(getCachedBlock(world, cursor)) && !isLavaSource(getCachedBlock(world, above.set(cursor.x, cursor.y + 1, cursor.z)))) {
+              surroundingBBs.push(nextBlockBB().set(cursor.x, cursor.y, cursor.z, cursor.x + 1, cursor.y + 0.5, cursor.z + 1))
             }
           }
         }
@@ -188,6 +583,7 @@ function Physics (mcData, world) {
   }
 
   physics.adjustPositionHeight = (pos) => {
+    releaseBlockBBs()
     const playerBB = getPlayerBB(pos)
     const queryBB = playerBB.clone().extend(0, -1, 0)
     const surroundingBBs = getSurroundingBBs(world, queryBB)
@@ -199,41 +595,68 @@ function Physics (mcData, world) {
     pos.y += dy
   }
 
+  // Sneaking players don't walk off edges and don't bounce on slime blocks.
+  function isSneakingPlayer (entity) {
+    return isPlayerEntity(entity) && entity.control.sneak
+  }
+
   function moveEntity (entity, world, dx, dy, dz) {
     const vel = entity.vel
     const pos = entity.pos
 
-    if (entity.isInWeb) {
-      dx *= 0.25
-      dy *= 0.05
-      dz *= 0.25
+    if (entity.gameMode === 'spectator') {
+      // Spectators go through blocks
+      pos.x += dx
+      pos.y += dy
+      pos.z += dz
+      entity.isInWeb = false
+      entity.isInPowderSnow = false
+      entity.stuckInBlock = null
+      entity.stuckMultiplier = null
+      entity.isCollidedHorizontally = false
+      entity.isCollidedVertically = false
+      entity.onGround = false
+      return
+    }
+
+    // Slowed down by the block the entity got stuck in during the last tick. A state only setting isInWeb is stuck
+    // in a cobweb.
+    const stuckMultiplier = entity.stuckMultiplier ?? (entity.isInWeb ? physics.stuckInBlockMultipliers[webId] : null)
+    if (stuckMultiplier) {
+      dx *= stuckMultiplier.x
+      dy *= stuckMultiplier.y
+      dz *= stuckMultiplier.z
       vel.x = 0
       vel.y = 0
       vel.z = 0
-      entity.isInWeb = false
     }
+    entity.stuckInBlock = null
+    entity.stuckMultiplier = null
+    entity.isInWeb = false
+    entity.isInPowderSnow = false
 
     let oldVelX = dx
     const oldVelY = dy
     let oldVelZ = dz
+    const stepHeight = entity.stepHeight ?? physics.stepHeight
 
-    if (entity.control.sneak && entity.onGround) {
+    if (isSneakingPlayer(entity) && entity.onGround) {
       const step = 0.05
 
       // In the 3 loops bellow, y offset should be -1, but that doesnt reproduce vanilla behavior.
-      for (; dx !== 0 && getSurroundingBBs(world, getPlayerBB(pos).offset(dx, 0, 0)).length === 0; oldVelX = dx) {
+      for (; dx !== 0 && getSurroundingBBs(world, getEntityBB(entity, pos, scratch.sneakBB).offset(dx, 0, 0), null, entity).length === 0; oldVelX = dx) {
         if (dx < step && dx >= -step) dx = 0
         else if (dx > 0) dx -= step
         else dx += step
       }
 
-      for (; dz !== 0 && getSurroundingBBs(world, getPlayerBB(pos).offset(0, 0, dz)).length === 0; oldVelZ = dz) {
+      for (; dz !== 0 && getSurroundingBBs(world, getEntityBB(entity, pos, scratch.sneakBB).offset(0, 0, dz), null, entity).length === 0; oldVelZ = dz) {
         if (dz < step && dz >= -step) dz = 0
         else if (dz > 0) dz -= step
         else dz += step
       }
 
-      while (dx !== 0 && dz !== 0 && getSurroundingBBs(world, getPlayerBB(pos).offset(dx, 0, dz)).length === 0) {
+      while (dx !== 0 && dz !== 0 && getSurroundingBBs(world, getEntityBB(entity, pos, scratch.sneakBB).offset(dx, 0, dz), null, entity).length === 0) {
         if (dx < step && dx >= -step) dx = 0
         else if (dx > 0) dx -= step
         else dx += step
@@ -247,42 +670,42 @@ function Physics (mcData, world) {
       }
     }
 
-    let playerBB = getPlayerBB(pos)
-    const queryBB = playerBB.clone().extend(dx, dy, dz)
-    const surroundingBBs = getSurroundingBBs(world, queryBB)
-    const oldBB = playerBB.clone()
+    let entityBB = getEntityBB(entity, pos, scratch.entityBB)
+    const queryBB = scratch.queryBB.copy(entityBB).extend(dx, dy, dz)
+    const surroundingBBs = getEntityCollisionBBs(entity, world, queryBB)
+    const oldBB = scratch.oldBB.copy(entityBB)
 
     for (const blockBB of surroundingBBs) {
-      dy = blockBB.computeOffsetY(playerBB, dy)
+      dy = blockBB.computeOffsetY(entityBB, dy)
     }
-    playerBB.offset(0, dy, 0)
+    entityBB.offset(0, dy, 0)
 
     for (const blockBB of surroundingBBs) {
-      dx = blockBB.computeOffsetX(playerBB, dx)
+      dx = blockBB.computeOffsetX(entityBB, dx)
     }
-    playerBB.offset(dx, 0, 0)
+    entityBB.offset(dx, 0, 0)
 
     for (const blockBB of surroundingBBs) {
-      dz = blockBB.computeOffsetZ(playerBB, dz)
+      dz = blockBB.computeOffsetZ(entityBB, dz)
     }
-    playerBB.offset(0, 0, dz)
+    entityBB.offset(0, 0, dz)
 
     // Step on block if height < stepHeight
-    if (physics.stepHeight > 0 &&
+    if (stepHeight > 0 &&
       (entity.onGround || (dy !== oldVelY && oldVelY < 0)) &&
       (dx !== oldVelX || dz !== oldVelZ)) {
       const oldVelXCol = dx
       const oldVelYCol = dy
       const oldVelZCol = dz
-      const oldBBCol = playerBB.clone()
+      const oldBBCol = scratch.oldBBCol.copy(entityBB)
 
-      dy = physics.stepHeight
-      const queryBB = oldBB.clone().extend(oldVelX, dy, oldVelZ)
-      const surroundingBBs = getSurroundingBBs(world, queryBB)
+      dy = stepHeight
+      const queryBB = scratch.stepQueryBB.copy(oldBB).extend(oldVelX, dy, oldVelZ)
+      const surroundingBBs = getEntityCollisionBBs(entity, world, queryBB)
 
-      const BB1 = oldBB.clone()
-      const BB2 = oldBB.clone()
-      const BB_XZ = BB1.clone().extend(dx, 0, dz)
+      const BB1 = scratch.stepBB1.copy(oldBB)
+      const BB2 = scratch.stepBB2.copy(oldBB)
+      const BB_XZ = scratch.stepBBXZ.copy(BB1).extend(dx, 0, dz)
 
       let dy1 = dy
       let dy2 = dy
@@ -318,39 +741,41 @@ function Physics (mcData, world) {
         dx = dx1
         dy = -dy1
         dz = dz1
-        playerBB = BB1
+        entityBB = BB1
       } else {
         dx = dx2
         dy = -dy2
         dz = dz2
-        playerBB = BB2
+        entityBB = BB2
       }
 
       for (const blockBB of surroundingBBs) {
-        dy = blockBB.computeOffsetY(playerBB, dy)
+        dy = blockBB.computeOffsetY(entityBB, dy)
       }
-      playerBB.offset(0, dy, 0)
+      entityBB.offset(0, dy, 0)
 
       if (oldVelXCol * oldVelXCol + oldVelZCol * oldVelZCol >= dx * dx + dz * dz) {
         dx = oldVelXCol
         dy = oldVelYCol
         dz = oldVelZCol
-        playerBB = oldBBCol
+        entityBB = oldBBCol
       }
     }
 
     // Update flags
-    setPositionToBB(playerBB, pos)
+    setPositionToBB(entity, entityBB, pos)
     entity.isCollidedHorizontally = dx !== oldVelX || dz !== oldVelZ
     entity.isCollidedVertically = dy !== oldVelY
     entity.onGround = entity.isCollidedVertically && oldVelY < 0
 
-    const blockAtFeet = world.getBlock(pos.offset(0, -0.2, 0))
+    const cursor = scratch.moveCursor
+    const blockAtFeet = getCachedBlock(world, cursor.set(pos.x, pos.y - 0.2, pos.z))
 
     if (dx !== oldVelX) vel.x = 0
     if (dz !== oldVelZ) vel.z = 0
     if (dy !== oldVelY) {
-      if (blockAtFeet && blockAtFeet.type === slimeBlockId && !entity.control.sneak) {
+      // SlimeBlock.bounceUp: only entities that were falling bounce
+      if (oldVelY < 0 && blockAtFeet && blockAtFeet.type === slimeBlockId && !isSneakingPlayer(entity)) {
         vel.y = -vel.y
       } else {
         vel.y = 0
@@ -358,27 +783,31 @@ function Physics (mcData, world) {
     }
 
     // Finally, apply block collisions (web, soulsand...)
-    playerBB.contract(0.001, 0.001, 0.001)
-    const cursor = new Vec3(0, 0, 0)
-    for (cursor.y = Math.floor(playerBB.minY); cursor.y <= Math.floor(playerBB.maxY); cursor.y++) {
-      for (cursor.z = Math.floor(playerBB.minZ); cursor.z <= Math.floor(playerBB.maxZ); cursor.z++) {
-        for (cursor.x = Math.floor(playerBB.minX); cursor.x <= Math.floor(playerBB.maxX); cursor.x++) {
-          const block = world.getBlock(cursor)
+    entityBB.contract(0.001, 0.001, 0.001)
+    const velocityBlocksOnCollision = supportFeature('velocityBlocksOnCollision')
+    for (cursor.y = Math.floor(entityBB.minY); cursor.y <= Math.floor(entityBB.maxY); cursor.y++) {
+      for (cursor.z = Math.floor(entityBB.minZ); cursor.z <= Math.floor(entityBB.maxZ); cursor.z++) {
+        for (cursor.x = Math.floor(entityBB.minX); cursor.x <= Math.floor(entityBB.maxX); cursor.x++) {
+          const block = getCachedBlock(world, cursor)
           if (block) {
-            if (supportFeature('velocityBlocksOnCollision')) {
-              if (block.type === soulsandId) {
-                vel.x *= physics.soulsandSpeed
-                vel.z *= physics.soulsandSpeed
-              } else if (block.type === honeyblockId) {
-                vel.x *= physics.honeyblockSpeed
-                vel.z *= physics.honeyblockSpeed
-              }
+            if (velocityBlocksOnCollision && physics.blockSpeedFactors[block.type] !== undefined) {
+              vel.x *= physics.blockSpeedFactors[block.type]
+              vel.z *= physics.blockSpeedFactors[block.type]
             }
-            if (block.type === webId) {
-              entity.isInWeb = true
+            const stuckMultiplier = physics.stuckInBlockMultipliers[block.type]
+            if (stuckMultiplier && canGetStuckIn(entity, world, block)) {
+              entity.stuckInBlock = block.type
+              // a copy, the states must not share the entries of stuckInBlockMultipliers
+              entity.stuckMultiplier = { x: stuckMultiplier.x, y: stuckMultiplier.y, z: stuckMultiplier.z }
+              entity.isInWeb = block.type === webId
+            }
+            if (block.type === powderSnowId) {
+              entity.isInPowderSnow = true
             } else if (block.type === bubblecolumnId) {
               const down = !block.metadata
-              const aboveBlock = world.getBlock(cursor.offset(0, 1, 0))
+              cursor.y++
+              const aboveBlock = getCachedBlock(world, cursor)
+              cursor.y--
               const bubbleDrag = (aboveBlock && aboveBlock.type === 0 /* air */) ? physics.bubbleColumnSurfaceDrag : physics.bubbleColumnDrag
               if (down) {
                 vel.y = Math.max(bubbleDrag.maxDown, vel.y - bubbleDrag.down)
@@ -391,19 +820,42 @@ function Physics (mcData, world) {
       }
     }
     if (supportFeature('velocityBlocksOnTop')) {
-      const blockBelow = world.getBlock(entity.pos.floored().offset(0, -0.5, 0))
-      if (blockBelow) {
-        if (blockBelow.type === soulsandId) {
-          vel.x *= physics.soulsandSpeed
-          vel.z *= physics.soulsandSpeed
-        } else if (blockBelow.type === honeyblockId) {
-          vel.x *= physics.honeyblockSpeed
-          vel.z *= physics.honeyblockSpeed
-        }
-      }
+      const speedFactor = getBlockSpeedFactor(entity, world)
+      vel.x *= speedFactor
+      vel.z *= speedFactor
     }
   }
 
+  // Entity.getBlockPosBelowThatAffectsMyMovement
+  function getBlockBelow (world, pos) {
+    return getCachedBlock(world, scratch.factorCursor.set(Math.floor(pos.x), Math.floor(pos.y - 0.5000001), Math.floor(pos.z)))
+  }
+
+  // Entity.getBlockSpeedFactor and Entity.getBlockJumpFactor: the factor of the block at the feet of the entity, or of
+  // the block below when it has none (except in water)
+  function getBlockFactor (world, pos, factors) {
+    const block = getCachedBlock(world, scratch.factorCursor.set(Math.floor(pos.x), Math.floor(pos.y), Math.floor(pos.z)))
+    if (block && factors[block.type] !== undefined) return factors[block.type]
+    if (block && (waterIds.includes(block.type) || block.type === bubblecolumnId)) return 1
+    const blockBelow = getBlockBelow(world, pos)
+    return (blockBelow && factors[blockBelow.type]) ?? 1
+  }
+
+  function isOnSoulSpeedBlock (world, pos) {
+    const blockBelow = getBlockBelow(world, pos)
+    return !!blockBelow && soulSpeedBlockIds.has(blockBelow.type)
+  }
+
+  // LivingEntity.getBlockSpeedFactor: Soul Speed cancels the speed factor of every block
+  function getBlockSpeedFactor (entity, world) {
+    if (entity.soulSpeed > 0) return 1
+    return getBlockFactor(world, entity.pos, physics.blockSpeedFactors)
+  }
+
+  function getBlockJumpFactor (world, pos) {
+    return supportFeature('velocityBlocksOnTop') ? getBlockFactor(world, pos, physics.blockJumpFactors) : 1
+  }
+
   function getLookingVector (entity) {
     // given a yaw pitch, we need the looking vector
 
@@ -447,24 +899,23 @@ function Physics (mcData, world) {
     const lookX = -sinYaw * cosPitch
     const lookY = sinPitch
     const lookZ = -cosYaw * cosPitch
-    const lookDir = new Vec3(lookX, lookY, lookZ)
-    return {
-      yaw,
-      pitch,
-      sinYaw,
-      cosYaw,
-      sinPitch,
-      cosPitch,
-      lookX,
-      lookY,
-      lookZ,
-      lookDir
-    }
+    const looking = scratch.looking
+    looking.yaw = yaw
+    looking.pitch = pitch
+    looking.sinYaw = sinYaw
+    looking.cosYaw = cosYaw
+    looking.sinPitch = sinPitch
+    looking.cosPitch = cosPitch
+    looking.lookX = lookX
+    looking.lookY = lookY
+    looking.lookZ = lookZ
+    looking.lookDir = scratch.lookDir.set(lookX, lookY, lookZ)
+    return looking
   }
 
   function applyHeading (entity, strafe, forward, multiplier) {
     let speed = Math.sqrt(strafe * strafe + forward * forward)
-    if (speed < 0.01) return new Vec3(0, 0, 0)
+    if (speed < 0.01) return
 
     speed = multiplier / Math.max(speed, 1)
 
@@ -480,17 +931,35 @@ function Physics (mcData, world) {
     vel.z += forward * cos - strafe * sin
   }
 
+  // Foxes and bees go through sweet berry bushes, and only entities with their feet in powder snow are slowed down
+  function canGetStuckIn (entity, world, block) {
+    // SweetBerryBushBlock.entityInside
+    if (block.type === sweetBerryBushId) return isLivingEntity(entity) && entity.name !== 'fox' && entity.name !== 'bee'
+    if (block.type === powderSnowId) return isFeetInPowderSnow(world, entity.pos)
+    return true
+  }
+
+  function isFeetInPowderSnow (world, pos) {
+    const block = getCachedBlock(world, scratch.snowCursor.set(Math.floor(pos.x), Math.floor(pos.y), Math.floor(pos.z)))
+    return !!block && block.type === powderSnowId
+  }
+
+  function isInScaffolding (world, pos) {
+    const block = getCachedBlock(world, pos)
+    return !!block && block.type === scaffoldingId
+  }
+
   function isOnLadder (world, pos) {
-    const block = world.getBlock(pos)
+    const block = getCachedBlock(world, pos)
     if (!block) { return false }
-    if (block.type === ladderId || block.type === vineId) { return true }
+    if (physics.climbableBlockIds.has(block.type)) { return true }
 
     // Since 1.9, when a trapdoor satisfies the following conditions, it also becomes climbable:
     //  1. The trapdoor is placed directly above a ladder.
     //  2. The trapdoor is opened.
     //  3. The trapdoor and the ladder directly below it face the same direction.
     if (supportFeature('climableTrapdoor') && trapdoorIds.has(block.type)) {
-      const blockBelow = world.getBlock(pos.offset(0, -1, 0))
+      const blockBelow = getCachedBlock(world, scratch.ladderCursor.set(pos.x, pos.y - 1, pos.z))
       if (blockBelow.type !== ladderId) { return false } // condition 1.
       if (!block.getProperties().open) { return false } // condition 2.
       if (block.getProperties().facing !== blockBelow.getProperties().facing) { return false } // condition 3
@@ -500,9 +969,35 @@ function Physics (mcData, world) {
     return false
   }
 
-  function doesNotCollide (world, pos) {
-    const pBB = getPlayerBB(pos)
-    return !getSurroundingBBs(world, pBB).some(x => pBB.intersects(x)) && getWaterInBB(world, pBB).length === 0
+  function getEntityAttributeValue (entity, name, base) {
+    let entityAttribute
+    if (name && entity.attributes && entity.attributes[name]) {
+      // Use server-side entity attributes
+      entityAttribute = entity.attributes[name]
+    } else {
+      entityAttribute = attribute.createAttributeValue(base)
+    }
+    return attribute.getAttributeValue(entityAttribute)
+  }
+
+  // Effect modifiers already sent by the server are not applied twice. The modifier is added to a copy,
+  // so that it is not kept in the server attributes once the effect ends
+  function addEffectModifier (speedAttribute, uuid, amount, operation = 2) {
+    if (!amount || attribute.checkAttributeModifier(speedAttribute, uuid)) return speedAttribute
+    return attribute.addAttributeModifier({ value: speedAttribute.value, modifiers: speedAttribute.modifiers.slice() }, {
+      uuid,
+      amount,
+      operation
+    })
+  }
+
+  function isSprintingInWater (entity) {
+    return supportFeature('swimming') && entity.isInWater && entity.control.sprint && entity.control.forward
+  }
+
+  function doesNotCollide (entity, world, pos) {
+    const pBB = getEntityBB(entity, pos, scratch.liquidJumpBB)
+    return !collidesWithBlocks(world, pBB) && getWaterInBB(world, pBB).length === 0
   }
 
   function moveEntityWithHeading (entity, world, strafe, forward) {
@@ -511,14 +1006,28 @@ function Physics (mcData, world) {
 
     const gravityMultiplier = (vel.y <= 0 && entity.slowFalling > 0) ? physics.slowFalling : 1
 
-    if (entity.isInWater || entity.isInLava) {
+    if (!entity.flying && (entity.isInWater || entity.isInLava)) {
       // Water / Lava movement
+      entity.movementBranch = 'liquid'
       const lastY = pos.y
       let acceleration = physics.liquidAcceleration
       const inertia = entity.isInWater ? physics.waterInertia : physics.lavaInertia
       let horizontalInertia = inertia
 
       if (entity.isInWater) {
+        if (entity.swimming) {
+          // Swimming players move vertically towards where they look, but only leave the water surface when jumping
+          const lookY = Math.sin(entity.pitch)
+          const blockAbove = getCachedBlock(world, scratch.headingCursor.set(Math.floor(pos.x), Math.floor(pos.y + 0.9), Math.floor(pos.z)))
+          if (lookY <= 0 || entity.control.jump || (blockAbove && isWaterBlock(blockAbove))) {
+            const verticalAcceleration = lookY < -0.2 ? physics.swimmingDownAcceleration : physics.swimmingVerticalAcceleration
+            vel.y += (lookY - vel.y) * verticalAcceleration
+          }
+        }
+
+        // Since 1.13, sprinting players keep more of their speed and do not sink
+        if (isSprintingInWater(entity)) horizontalInertia = physics.sprintingWaterInertia
+
         let strider = Math.min(entity.depthStrider, 3)
         if (!entity.onGround) {
           strider *= 0.5
@@ -534,14 +1043,17 @@ function Physics (mcData, world) {
       applyHeading(entity, strafe, forward, acceleration)
       moveEntity(entity, world, vel.x, vel.y, vel.z)
       vel.y *= inertia
-      vel.y -= (entity.isInWater ? physics.waterGravity : physics.lavaGravity) * gravityMultiplier
+      if (!isSprintingInWater(entity)) {
+        vel.y -= (entity.isInWater ? physics.waterGravity : physics.lavaGravity) * gravityMultiplier
+      }
       vel.x *= horizontalInertia
       vel.z *= horizontalInertia
 
-      if (entity.isCollidedHorizontally && doesNotCollide(world, pos.offset(vel.x, vel.y + 0.6 - pos.y + lastY, vel.z))) {
+      if (entity.isCollidedHorizontally && doesNotCollide(entity, world, scratch.liquidJumpPos.set(pos.x + vel.x, lastY + vel.y + 0.6, pos.z + vel.z))) {
         vel.y = physics.outOfLiquidImpulse // jump out of liquid
       }
     } else if (entity.elytraFlying) {
+      entity.movementBranch = 'elytra'
       const {
         pitch,
         sinPitch,
@@ -581,10 +1093,11 @@ function Physics (mcData, world) {
         entity.elytraFlying = false
       }
     } else {
-      // Normal movement
+      // Normal movement, and creative flight
+      const lastVelY = vel.y
       let acceleration = 0.0
       let inertia = 0.0
-      const blockUnder = world.getBlock(pos.offset(0, -1, 0))
+      const blockUnder = getCachedBlock(world, scratch.headingCursor.set(pos.x, pos.y - 1, pos.z))
       if (entity.onGround && blockUnder) {
         let playerSpeedAttribute
         if (entity.attributes && entity.attributes[physics.movementSpeedAttribute]) {
@@ -606,6 +1119,13 @@ function Physics (mcData, world) {
             })
           }
         }
+        // Speed and Slowness effects (MobEffect.addAttributeModifiers)
+        playerSpeedAttribute = addEffectModifier(playerSpeedAttribute, physics.speedEffectUUID, physics.speedEffectModifier * entity.speed)
+        playerSpeedAttribute = addEffectModifier(playerSpeedAttribute, physics.slownessEffectUUID, physics.slownessEffectModifier * entity.slowness)
+        if (entity.soulSpeed > 0 && isOnSoulSpeedBlock(world, pos)) {
+          const soulSpeed = Math.fround(physics.soulSpeedModifier * Math.fround(1 + entity.soulSpeed * physics.soulSpeedLevelModifier))
+          playerSpeedAttribute = addEffectModifier(playerSpeedAttribute, physics.soulSpeedUUID, soulSpeed, 0)
+        }
         // Calculate what the speed is (0.1 if no modification)
         const attributeSpeed = attribute.getAttributeValue(playerSpeedAttribute)
         inertia = (blockSlipperiness[blockUnder.type] || physics.defaultSlipperiness) * 0.91
@@ -615,45 +1135,57 @@ function Physics (mcData, world) {
         acceleration = physics.airborneAcceleration
         inertia = physics.airborneInertia
 
-        if (entity.control.sprint) {
+        if (entity.flying) {
+          acceleration = entity.flyingSpeed * (entity.control.sprint ? physics.flyingSprintMultiplier : 1)
+        } else if (entity.control.sprint) {
           const airSprintFactor = physics.airborneAcceleration * 0.3
           acceleration += airSprintFactor
         }
       }
 
+      if (entity.flying) entity.movementBranch = 'flying'
+      else if (isOnLadder(world, pos)) entity.movementBranch = 'ladder'
+      else entity.movementBranch = (entity.onGround && blockUnder) ? 'ground' : 'air'
+
       applyHeading(entity, strafe, forward, acceleration)
 
-      if (isOnLadder(world, pos)) {
+      if (entity.movementBranch === 'ladder') {
         vel.x = math.clamp(-physics.ladderMaxSpeed, vel.x, physics.ladderMaxSpeed)
         vel.z = math.clamp(-physics.ladderMaxSpeed, vel.z, physics.ladderMaxSpeed)
-        vel.y = Math.max(vel.y, entity.control.sneak ? 0 : -physics.ladderMaxSpeed)
+        // Sneaking holds the player on ladders, but makes it go down scaffolding
+        const holding = entity.control.sneak && !isInScaffolding(world, pos)
+        vel.y = Math.max(vel.y, holding ? 0 : -physics.ladderMaxSpeed)
       }
 
       moveEntity(entity, world, vel.x, vel.y, vel.z)
 
-      if (isOnLadder(world, pos) && (entity.isCollidedHorizontally ||
+      // Players wearing leather boots climb out of powder snow like ladders
+      const climbing = isOnLadder(world, pos) || (entity.leatherBootsEquipped && isFeetInPowderSnow(world, pos))
+      if (climbing && (entity.isCollidedHorizontally ||
         (supportFeature('climbUsingJump') && entity.control.jump))) {
         vel.y = physics.ladderClimbSpeed // climb ladder
       }
 
       // Apply friction and gravity
-      if (entity.levitation > 0) {
+      if (entity.flying) {
+        vel.y = lastVelY * physics.flyingVerticalDrag
+      } else if (entity.levitation > 0) {
         vel.y += (0.05 * entity.levitation - vel.y) * 0.2
       } else {
         vel.y -= physics.gravity * gravityMultiplier
       }
-      vel.y *= physics.airdrag
+      if (!entity.flying) vel.y *= physics.airdrag
       vel.x *= inertia
       vel.z *= inertia
     }
   }
 
   function isMaterialInBB (world, queryBB, types) {
-    const cursor = new Vec3(0, 0, 0)
+    const cursor = scratch.materialCursor
     for (cursor.y = Math.floor(queryBB.minY); cursor.y <= Math.floor(queryBB.maxY); cursor.y++) {
       for (cursor.z = Math.floor(queryBB.minZ); cursor.z <= Math.floor(queryBB.maxZ); cursor.z++) {
         for (cursor.x = Math.floor(queryBB.minX); cursor.x <= Math.floor(queryBB.maxX); cursor.x++) {
-          const block = world.getBlock(cursor)
+          const block = getCachedBlock(world, cursor)
           if (block && types.includes(block.type)) return true
         }
       }
@@ -676,13 +1208,15 @@ function Physics (mcData, world) {
 
   function getFlow (world, block) {
     const curlevel = getRenderedDepth(block)
-    const flow = new Vec3(0, 0, 0)
-    for (const [dx, dz] of [[0, 1], [-1, 0], [0, -1], [1, 0]]) {
-      const adjBlock = world.getBlock(block.position.offset(dx, 0, dz))
+    const flow = scratch.flow.set(0, 0, 0)
+    const { x, y, z } = block.position
+    const cursor = scratch.flowCursor
+    for (const [dx, dz] of horizontalDirections) {
+      const adjBlock = getCachedBlock(world, cursor.set(x + dx, y, z + dz))
       const adjLevel = getRenderedDepth(adjBlock)
       if (adjLevel < 0) {
         if (adjBlock && adjBlock.boundingBox !== 'empty') {
-          const adjLevel = getRenderedDepth(world.getBlock(block.position.offset(dx, -1, dz)))
+          const adjLevel = getRenderedDepth(getCachedBlock(world, cursor.set(x + dx, y - 1, z + dz)))
           if (adjLevel >= 0) {
             const f = adjLevel - (curlevel - 8)
             flow.x += dx * f
@@ -697,9 +1231,9 @@ function Physics (mcData, world) {
     }
 
     if (block.metadata >= 8) {
-      for (const [dx, dz] of [[0, 1], [-1, 0], [0, -1], [1, 0]]) {
-        const adjBlock = world.getBlock(block.position.offset(dx, 0, dz))
-        const adjUpBlock = world.getBlock(block.position.offset(dx, 1, dz))
+      for (const [dx, dz] of horizontalDirections) {
+        const adjBlock = getCachedBlock(world, cursor.set(x + dx, y, z + dz))
+        const adjUpBlock = getCachedBlock(world, cursor.set(x + dx, y + 1, z + dz))
         if ((adjBlock && adjBlock.boundingBox !== 'empty') || (adjUpBlock && adjUpBlock.boundingBox !== 'empty')) {
           flow.normalize().translate(0, -6, 0)
         }
@@ -709,14 +1243,25 @@ function Physics (mcData, world) {
     return flow.normalize()
   }
 
+  function isWaterBlock (block) {
+    return waterIds.includes(block.type) || waterLike.has(block.type) || block.getProperties().waterlogged
+  }
+
+  // Height of the water surface in a water block, water with water above fills the whole block
+  function getWaterLevel (world, block) {
+    const blockAbove = getCachedBlock(world, scratch.flowCursor.set(block.position.x, block.position.y + 1, block.position.z))
+    if (blockAbove && isWaterBlock(blockAbove)) return block.position.y + 1
+    return block.position.y + 1 - getLiquidHeightPcent(block)
+  }
+
   function getWaterInBB (world, bb) {
     const waterBlocks = []
-    const cursor = new Vec3(0, 0, 0)
+    const cursor = scratch.waterCursor
     for (cursor.y = Math.floor(bb.minY); cursor.y <= Math.floor(bb.maxY); cursor.y++) {
       for (cursor.z = Math.floor(bb.minZ); cursor.z <= Math.floor(bb.maxZ); cursor.z++) {
         for (cursor.x = Math.floor(bb.minX); cursor.x <= Math.floor(bb.maxX); cursor.x++) {
-          const block = world.getBlock(cursor)
-          if (block && (waterIds.includes(block.type) || waterLike.has(block.type) || block.getProperties().waterlogged)) {
+          const block = getCachedBlock(world, cursor)
+          if (block && isWaterBlock(block)) {
             const waterLevel = cursor.y + 1 - getLiquidHeightPcent(block)
             if (Math.ceil(bb.maxY) >= waterLevel) waterBlocks.push(block)
           }
@@ -727,7 +1272,7 @@ function Physics (mcData, world) {
   }
 
   function isInWaterApplyCurrent (world, bb, vel) {
-    const acceleration = new Vec3(0, 0, 0)
+    const acceleration = scratch.current.set(0, 0, 0)
     const waterBlocks = getWaterInBB(world, bb)
     const isInWater = waterBlocks.length > 0
     for (const block of waterBlocks) {
@@ -744,29 +1289,103 @@ function Physics (mcData, world) {
     return isInWater
   }
 
+  function canEnterPose (world, entity, pose) {
+    const bb = getPlayerBB(entity.pos, pose, scratch.poseBB).contract(1e-7, 1e-7, 1e-7)
+    return !collidesWithBlocks(world, bb, entity)
+  }
+
+  function isEyeInWater (entity, world) {
+    const eyeY = entity.pos.y + getPlayerEyeHeight(entity.pose)
+    const block = getCachedBlock(world, scratch.poseCursor.set(Math.floor(entity.pos.x), Math.floor(eyeY), Math.floor(entity.pos.z)))
+    return !!block && isWaterBlock(block) && eyeY < getWaterLevel(world, block)
+  }
+
+  // Entity.updateSwimming, swimming starts when sprinting with the eyes and feet in water, and stops when leaving the water
+  function updateSwimming (entity, world) {
+    if (!supportFeature('swimming')) {
+      entity.swimming = false
+      return
+    }
+    const sprinting = entity.control.sprint && entity.control.forward
+    if (entity.swimming) {
+      entity.swimming = sprinting && entity.isInWater
+    } else if (sprinting && isEyeInWater(entity, world)) {
+      const feetBlock = getCachedBlock(world, scratch.poseCursor.set(Math.floor(entity.pos.x), Math.floor(entity.pos.y), Math.floor(entity.pos.z)))
+      entity.swimming = !!feetBlock && isWaterBlock(feetBlock)
+    } else {
+      entity.swimming = false
+    }
+  }
+
+  // Player.updatePlayerPose, players that cannot stand up are forced to crouch, or to crawl
+  function updatePlayerPose (entity, world) {
+    if (!supportFeature('playerPoses')) {
+      entity.pose = entity.swimming ? 'swimming' : 'standing'
+      return
+    }
+    let pose
+    if (entity.elytraFlying) pose = 'fall_flying'
+    else if (entity.swimming) pose = 'swimming'
+    else if (entity.control.sneak && !entity.flying) pose = 'crouching'
+    else pose = 'standing'
+
+    // The boxes of every pose have the same width and start at the feet, so fitting in the box of the pose means
+    // fitting in the swimming box too, and the check of the swimming box is only needed otherwise
+    const fits = canEnterPose(world, entity, pose)
+    if (!fits && !canEnterPose(world, entity, 'swimming')) return // stuck in blocks, keep the current pose
+
+    if (entity.gameMode !== 'spectator' && !fits) {
+      pose = canEnterPose(world, entity, 'crouching') ? 'crouching' : 'swimming'
+    }
+    entity.pose = pose
+  }
+
   physics.simulatePlayer = (entity, world) => {
     const vel = entity.vel
     const pos = entity.pos
 
-    const waterBB = getPlayerBB(pos).contract(0.001, 0.401, 0.001)
-    const lavaBB = getPlayerBB(pos).contract(0.1, 0.4, 0.1)
+    releaseBlockBBs()
+
+    // Spectators are always flying
+    if (entity.gameMode === 'spectator') entity.flying = true
 
-    entity.isInWater = isInWaterApplyCurrent(world, waterBB, vel)
+    // The liquid checks shrink the hitbox of a standing player vertically, by 0.401 and 0.4 blocks. The other poses only
+    // exist since 1.14 (swimming since 1.13), where Entity.updateFluidHeightAndDoFluidPushing deflates their box by 0.001
+    const playerBB = getPlayerBB(pos, entity.pose, scratch.playerBB)
+    const waterBB = scratch.waterBB.copy(playerBB)
+    const lavaBB = scratch.lavaBB.copy(playerBB)
+    if (physics.playerPoses[entity.pose]) {
+      waterBB.contract(0.001, 0.001, 0.001)
+      lavaBB.contract(0.001, 0.001, 0.001)
+    } else {
+      waterBB.contract(0.001, 0.401, 0.001)
+      lavaBB.contract(0.1, 0.4, 0.1)
+    }
+
+    // Flying players are not pushed by water currents
+    entity.isInWater = entity.flying ? getWaterInBB(world, waterBB).length > 0 : isInWaterApplyCurrent(world, waterBB, vel)
     entity.isInLava = isMaterialInBB(world, lavaBB, lavaIds)
 
+    updateSwimming(entity, world)
+    updatePlayerPose(entity, world)
+
     // Reset velocity component if it falls under the threshold
     if (Math.abs(vel.x) < physics.negligeableVelocity) vel.x = 0
     if (Math.abs(vel.y) < physics.negligeableVelocity) vel.y = 0
     if (Math.abs(vel.z) < physics.negligeableVelocity) vel.z = 0
 
     // Handle inputs
-    if (entity.control.jump || entity.jumpQueued) {
+    if (entity.flying) {
+      // Fly up with jump and down with sneak
+      const direction = entity.control.jump - entity.control.sneak
+      vel.y += direction * entity.flyingSpeed * physics.flyingVerticalSpeed
+      entity.jumpTicks = 0
+    } else if (entity.control.jump || entity.jumpQueued) {
       if (entity.jumpTicks > 0) entity.jumpTicks--
       if (entity.isInWater || entity.isInLava) {
         vel.y += 0.04
       } else if (entity.onGround && entity.jumpTicks === 0) {
-        const blockBelow = world.getBlock(entity.pos.floored().offset(0, -0.5, 0))
-        vel.y = Math.fround(0.42) * ((blockBelow && blockBelow.type === honeyblockId) ? physics.honeyblockJumpSpeed : 1)
+        vel.y = Math.fround(0.42) * getBlockJumpFactor(world, entity.pos)
         if (entity.jumpBoost > 0) {
           vel.y += 0.1 * entity.jumpBoost
         }
@@ -785,12 +1404,17 @@ function Physics (mcData, world) {
     let strafe = (entity.control.right - entity.control.left) * 0.98
     let forward = (entity.control.forward - entity.control.back) * 0.98
 
-    if (entity.control.sneak) {
+    // Since 1.14, crouching and crawling (swimming pose out of water) players move slowly,
+    // before that sneaking did, flying included
+    const movingSlowly = supportFeature('playerPoses')
+      ? entity.pose === 'crouching' || (entity.pose === 'swimming' && !entity.isInWater)
+      : entity.control.sneak
+    if (movingSlowly) {
       strafe *= physics.sneakSpeed
       forward *= physics.sneakSpeed
     }
 
-    entity.elytraFlying = entity.elytraFlying && entity.elytraEquipped && !entity.onGround && !entity.levitation
+    entity.elytraFlying = entity.elytraFlying && entity.elytraEquipped && !entity.onGround && !entity.levitation && !entity.flying
 
     if (entity.fireworkRocketDuration > 0) {
       if (!entity.elytraFlying) {
@@ -804,14 +1428,1116 @@ function Physics (mcData, world) {
       }
     }
 
+    const lastY = pos.y
     moveEntityWithHeading(entity, world, strafe, forward)
+    updateFallDistance(entity, world, pos.y - lastY)
+
+    // Creative flight stops when landing
+    if (entity.flying && entity.onGround && entity.gameMode !== 'spectator') {
+      entity.flying = false
+    }
+
+    return entity
+  }
+
+  // Entity.checkFallDamage, the fall distance is reset by water, cobwebs, climbable blocks, gliding and flight
+  function updateFallDistance (entity, world, dy) {
+    entity.fallDamage = 0
+    if (entity.onGround) {
+      if (entity.fallDistance > 0) {
+        const landingBlock = getCachedBlock(world, scratch.fallCursor.set(Math.floor(entity.pos.x), Math.floor(entity.pos.y - 0.2), Math.floor(entity.pos.z)))
+        entity.fallDamage = physics.getFallDamage(entity, entity.fallDistance, landingBlock)
+      }
+      entity.fallDistance = 0
+    } else if (dy < 0) {
+      entity.fallDistance -= dy
+    }
+
+    // climbable blocks are only looked up when they can change the fall distance
+    if (entity.isInWater || entity.stuckMultiplier || entity.flying || (entity.slowFalling > 0 && entity.vel.y <= 0) ||
+      ((entity.fallDistance > 0 || entity.elytraFlying) && isOnLadder(world, entity.pos))) {
+      entity.fallDistance = 0
+    } else if (entity.elytraFlying && entity.vel.y > -0.5) {
+      entity.fallDistance = 1
+    } else if (entity.isInLava) {
+      entity.fallDistance *= 0.5
+    }
+  }
+
+  // LivingEntity.causeFallDamage, with the multipliers of Block.fallOn
+  physics.getFallDamage = (entity, fallDistance, landingBlock) => {
+    if (entity.gameMode === 'creative' || entity.gameMode === 'spectator') return 0
+
+    let multiplier = 1
+    if (landingBlock) {
+      if (landingBlock.type === slimeBlockId && !entity.control.sneak) return 0
+      if (landingBlock.type === powderSnowId) return 0
+      if (landingBlock.type === hayBlockId || landingBlock.type === honeyblockId) multiplier = 0.2
+      else if (bedIds.has(landingBlock.type)) fallDistance *= 0.5
+    }
+    const safeFallDistance = getEntityAttributeValue(entity, physics.safeFallDistanceAttribute, physics.safeFallDistance)
+    multiplier *= getEntityAttributeValue(entity, physics.fallDamageMultiplierAttribute, 1)
+    const damage = Math.ceil((fallDistance - safeFallDistance - entity.jumpBoost) * multiplier)
+    if (damage <= 0) return 0
+
+    // Feather Falling gives 3 protection points per level, each point reduces the damage by 4%, up to 20 points
+    const protection = Math.min(entity.featherFalling * 3, 20)
+    return damage * (1 - protection / 25)
+  }
+
+  // LivingEntity.knockback, dirX and dirZ point from the entity towards the source of the knockback
+  physics.applyKnockback = (entity, strength, dirX, dirZ) => {
+    const vel = entity.vel
+    strength *= 1 - getEntityAttributeValue(entity, physics.knockbackResistanceAttribute, 0)
+    if (strength <= 0) return entity
+
+    const length = Math.sqrt(dirX * dirX + dirZ * dirZ)
+    const impulseX = length < 1e-4 ? 0 : dirX / length * strength
+    const impulseZ = length < 1e-4 ? 0 : dirZ / length * strength
+    vel.x = vel.x / 2 - impulseX
+    if (entity.onGround) vel.y = Math.min(0.4, vel.y / 2 + strength)
+    vel.z = vel.z / 2 - impulseZ
+    return entity
+  }
+
+  // Explosion.getSeenPercent, proportion of the rays from points of the entity box to the center that are not blocked
+  function getExplosionExposure (world, center, bb) {
+    const stepX = 1 / ((bb.maxX - bb.minX) * 2 + 1)
+    const stepY = 1 / ((bb.maxY - bb.minY) * 2 + 1)
+    const stepZ = 1 / ((bb.maxZ - bb.minZ) * 2 + 1)
+    const offsetX = (1 - Math.floor(1 / stepX) * stepX) / 2
+    const offsetZ = (1 - Math.floor(1 / stepZ) * stepZ) / 2
+    let visible = 0
+    let total = 0
+    for (let x = 0; x <= 1; x += stepX) {
+      for (let y = 0; y <= 1; y += stepY) {
+        for (let z = 0; z <= 1; z += stepZ) {
+          const from = new Vec3(bb.minX + (bb.maxX - bb.minX) * x + offsetX, bb.minY + (bb.maxY - bb.minY) * y, bb.minZ + (bb.maxZ - bb.minZ) * z + offsetZ)
+          const rayBB = new AABB(from.x, from.y, from.z, from.x, from.y, from.z).extend(center.x - from.x, center.y - from.y, center.z - from.z)
+          // Like Level.clip, shapes only touched at the center do not block the ray
+          if (!getSurroundingBBs(world, rayBB).some(blockBB => blockBB.clip(from, center)?.t < 1)) visible++
+          total++
+        }
+      }
+    }
+    return visible / total
+  }
+
+  // Explosion.explode, push the entity away from the center depending on its distance and exposure
+  physics.applyExplosion = (entity, center, power, world) => {
+    releaseBlockBBs()
+    if (entity.gameMode === 'spectator' || (entity.gameMode === 'creative' && entity.flying)) return entity
+
+    const pos = entity.pos
+    const diameter = power * 2
+    const distance = pos.distanceTo(center) / diameter
+    if (distance > 1) return entity
+
+    const eyeHeight = isPlayerEntity(entity) ? getPlayerEyeHeight(entity.pose) : getEntityDimensions(entity).height * 0.85
+    const dir = new Vec3(pos.x - center.x, pos.y + eyeHeight - center.y, pos.z - center.z)
+    const length = dir.norm()
+    if (length === 0) return entity
+
+    const exposure = getExplosionExposure(world, center, getEntityBB(entity, pos))
+    let impact = (1 - distance) * exposure
+    impact *= 1 - getEntityAttributeValue(entity, physics.explosionKnockbackResistanceAttribute, 0)
+    entity.vel.add(dir.scaled(impact / length))
+    return entity
+  }
+
+  // entity_velocity packets are in 1/8000 blocks per tick
+  physics.applyVelocityPacket = (entity, packet) => {
+    entity.vel.set(packet.velocityX / 8000, packet.velocityY / 8000, packet.velocityZ / 8000)
+    return entity
+  }
+
+  function getEntityProfile (entity) {
+    getEntityDimensions(entity) // throws for unknown hitboxes
+    return physics.entityProfiles[entity.name] ?? physics.entityProfiles.living
+  }
+
+  function getProjectileProfile (name) {
+    const profile = physics.projectileProfiles[name]
+    if (!profile) throw new Error(`Unknown projectile type '${name}'`)
+    return profile
+  }
+
+  physics.simulateProjectile = (projectile, world, options = {}) => {
+    releaseBlockBBs()
+    const profile = getProjectileProfile(projectile.name)
+    const maxTicks = options.maxTicks ?? physics.projectileMaxTicks
+    const entities = options.entities ?? []
+    const pos = projectile.pos.clone()
+    const vel = projectile.vel.clone()
+    const path = [pos.clone()]
+
+    for (let tick = 0; tick < maxTicks; tick++) {
+      const halfSize = profile.size / 2
+      const inWater = getWaterInBB(world, new AABB(-halfSize, 0, -halfSize, halfSize, profile.size, halfSize).offset(pos.x, pos.y, pos.z)).length > 0
+      const target = pos.plus(vel)
+
+      const sweepBB = new AABB(pos.x, pos.y, pos.z, pos.x, pos.y, pos.z).extend(vel.x, vel.y, vel.z)
+      const blockPositions = []
+      const surroundingBBs = getSurroundingBBs(world, sweepBB, blockPositions)
+      let blockHit = null
+      for (let i = 0; i < surroundingBBs.length; i++) {
+        const hit = surroundingBBs[i].clip(pos, target)
+        if (hit && (!blockHit || hit.t < blockHit.t)) blockHit = { t: hit.t, face: hit.face, position: blockPositions[i] }
+      }
+
+      let entityHit = null
+      const margin = physics.projectileEntityMargin
+      for (let i = 0; i < entities.length; i++) {
+        const hit = entities[i].clone().expand(margin, margin, margin).clip(pos, target)
+        if (hit && (!entityHit || hit.t < entityHit.t) && (!blockHit || hit.t < blockHit.t)) entityHit = { t: hit.t, index: i }
+      }
+
+      if (entityHit) {
+        const intersect = pos.plus(vel.scaled(entityHit.t))
+        path.push(intersect)
+        return { path, block: null, entity: { index: entityHit.index, bb: entities[entityHit.index], intersect }, ticks: tick + 1 }
+      }
+      if (blockHit) {
+        const intersect = pos.plus(vel.scaled(blockHit.t))
+        path.push(intersect)
+        return { path, block: { position: blockHit.position, face: blockHit.face, intersect }, entity: null, ticks: tick + 1 }
+      }
+
+      pos.add(vel)
+      path.push(pos.clone())
+      const drag = inWater ? profile.waterDrag : profile.drag
+      vel.x *= drag
+      vel.y = vel.y * drag - profile.gravity
+      vel.z *= drag
+    }
+
+    return { path, block: null, entity: null, ticks: maxTicks }
+  }
+
+  // Vertical offset of the projectile once it has travelled the given horizontal distance, ignoring blocks
+  function getProjectileHeightAt (profile, speed, pitch, distance) {
+    let horizontal = 0
+    let vertical = 0
+    let velH = speed * Math.cos(pitch)
+    let velY = speed * Math.sin(pitch)
+    for (let tick = 0; tick < physics.projectileMaxTicks && velH > 1e-6; tick++) {
+      if (horizontal + velH >= distance) return vertical + velY * (distance - horizontal) / velH
+      horizontal += velH
+      vertical += velY
+      velH *= profile.drag
+      velY = velY * profile.drag - profile.gravity
+    }
+    return -Infinity
+  }
+
+  physics.getProjectileAim = (name, from, target, speed) => {
+    const profile = getProjectileProfile(name)
+    const dx = target.x - from.x
+    const dy = target.y - from.y
+    const dz = target.z - from.z
+    const distance = Math.sqrt(dx * dx + dz * dz)
+    // yaw is a rotation about y starting from north (-z) and turning towards west (-x)
+    const yaw = Math.atan2(-dx, -dz)
+    if (distance < 1e-6) return { yaw, pitch: Math.sign(dy) * Math.PI / 2 }
+
+    // The height reached at the target distance grows with the pitch until the maximum range pitch,
+    // so the first crossing starting from straight down is the direct (lowest) shot
+    const steps = 180
+    let low = -Math.PI / 2
+    let lowHeight = getProjectileHeightAt(profile, speed, low, distance)
+    for (let i = 1; i <= steps; i++) {
+      let high = -Math.PI / 2 + Math.PI * i / steps
+      const highHeight = getProjectileHeightAt(profile, speed, high, distance)
+      if (lowHeight <= dy && dy <= highHeight) {
+        for (let j = 0; j < 40; j++) {
+          const mid = (low + high) / 2
+          if (getProjectileHeightAt(profile, speed, mid, distance) < dy) low = mid
+          else high = mid
+        }
+        return { yaw, pitch: (low + high) / 2 }
+      }
+      low = high
+      lowHeight = highHeight
+    }
+    return null
+  }
+
+  // Boat.getGroundFriction: average slipperiness of the blocks right below the boat, 0 if there are none
+  function getBoatGroundFriction (world, bb) {
+    const groundBB = scratch.boatGroundBB.set(bb.minX, bb.minY - 0.001, bb.minZ, bb.maxX, bb.minY, bb.maxZ)
+    const positions = []
+    const surroundingBBs = getSurroundingBBs(world, groundBB, positions)
+    const counted = new Set()
+    let friction = 0
+    for (let i = 0; i < surroundingBBs.length; i++) {
+      const key = positions[i].toString()
+      if (counted.has(key) || !surroundingBBs[i].intersects(groundBB)) continue
+      counted.add(key)
+      const block = world.getBlock(positions[i])
+      friction += (block && blockSlipperiness[block.type]) || physics.defaultSlipperiness
+    }
+    return counted.size > 0 ? friction / counted.size : 0
+  }
+
+  // Boat.getWaterLevelAbove: the water surface above the top of the boat, searched down to where it was last tick
+  function getBoatWaterLevelAbove (world, bb, lastVelY) {
+    const maxY = Math.ceil(bb.maxY - lastVelY)
+    for (let y = Math.floor(bb.maxY); y < maxY; y++) {
+      let level = y
+      for (const block of getWaterInBB(world, scratch.boatWaterBB.set(bb.minX, y, bb.minZ, bb.maxX, y + 0.001, bb.maxZ))) {
+        level = Math.max(level, getWaterLevel(world, block))
+      }
+      if (level < y + 1) return level
+    }
+    return maxY + 1
+  }
+
+  // Boat.getStatus, one of 'underFlowingWater', 'underWater', 'inWater', 'onLand' or 'inAir'
+  function getBoatStatus (boat, world) {
+    const bb = getEntityBB(boat, boat.pos, scratch.boatBB)
+
+    let underWater = false
+    for (const block of getWaterInBB(world, scratch.boatWaterBB.set(bb.minX, bb.maxY, bb.minZ, bb.maxX, bb.maxY + 0.001, bb.maxZ))) {
+      if (bb.maxY + 0.001 < getWaterLevel(world, block)) {
+        if (waterIds.includes(block.type) && block.metadata !== 0) return 'underFlowingWater'
+        underWater = true
+      }
+    }
+    if (underWater) return 'underWater'
+
+    let inWater = false
+    boat.waterLevel = -Infinity
+    for (const block of getWaterInBB(world, scratch.boatWaterBB.set(bb.minX, bb.minY, bb.minZ, bb.maxX, bb.minY + 0.001, bb.maxZ))) {
+      const level = getWaterLevel(world, block)
+      boat.waterLevel = Math.max(boat.waterLevel, level)
+      inWater = inWater || bb.minY < level
+    }
+    if (inWater) return 'inWater'
+
+    boat.landFriction = getBoatGroundFriction(world, bb)
+    return boat.landFriction > 0 ? 'onLand' : 'inAir'
+  }
+
+  physics.simulateBoat = (boat, world) => {
+    releaseBlockBBs()
+    const vel = boat.vel
+    const pos = boat.pos
+    const control = boat.control
+    boat.width = physics.boatWidth
+    boat.height = physics.boatHeight
+    boat.stepHeight = 0
+
+    const oldStatus = boat.status
+    boat.status = getBoatStatus(boat, world)
+
+    // Boat.floatBoat
+    if (oldStatus === 'inAir' && boat.status !== 'inAir' && boat.status !== 'onLand') {
+      // Landing in water snaps the boat onto the surface
+      const bb = getEntityBB(boat, pos, scratch.boatBB)
+      pos.y = getBoatWaterLevelAbove(world, bb, boat.lastVelY) - boat.height + 0.101
+      vel.y = 0
+      boat.lastVelY = 0
+      boat.status = 'inWater'
+    } else {
+      let gravity = -physics.boatGravity
+      let buoyancy = 0
+      let inertia = physics.boatDefaultInertia
+      if (boat.status === 'inWater') {
+        buoyancy = (boat.waterLevel - pos.y) / boat.height
+        inertia = physics.boatWaterInertia
+      } else if (boat.status === 'underFlowingWater') {
+        gravity = -7.0e-4
+        inertia = physics.boatWaterInertia
+      } else if (boat.status === 'underWater') {
+        buoyancy = 0.01
+        inertia = physics.boatUnderWaterInertia
+      } else if (boat.status === 'inAir') {
+        inertia = physics.boatAirInertia
+      } else if (boat.status === 'onLand') {
+        inertia = boat.landFriction
+      }
+
+      vel.x *= inertia
+      vel.y += gravity
+      vel.z *= inertia
+      boat.deltaRotation *= inertia
+      if (buoyancy > 0) {
+        vel.y = (vel.y + buoyancy * 0.06153846016296973) * 0.75
+      }
+    }
+
+    // Boat.controlBoat
+    let acceleration = 0
+    if (control.left) boat.deltaRotation += physics.boatTurnSpeed
+    if (control.right) boat.deltaRotation -= physics.boatTurnSpeed
+    if (control.right !== control.left && !control.forward && !control.back) {
+      acceleration += physics.boatTurnAcceleration
+    }
+    boat.yaw += boat.deltaRotation
+    if (control.forward) acceleration += physics.boatForwardAcceleration
+    if (control.back) acceleration -= physics.boatBackwardAcceleration
+    vel.x -= Math.sin(boat.yaw) * acceleration
+    vel.z -= Math.cos(boat.yaw) * acceleration
+
+    moveEntity(boat, world, vel.x, vel.y, vel.z)
+    boat.lastVelY = vel.y // Boat.checkFallDamage
+
+    return boat
+  }
+
+  function isRail (block) {
+    return block != null && railIds.has(block.type)
+  }
+
+  function getRailShape (block) {
+    const shape = block.getProperties().shape
+    if (shape) return shape
+    // Before 1.13, the highest metadata bit of powered, detector and activator rails is the powered state
+    return railShapes[block.type === blocksByName.rail.id ? block.metadata : block.metadata & 7]
+  }
+
+  function isRailPowered (block) {
+    const powered = block.getProperties().powered
+    return powered !== undefined ? powered : (block.metadata & 8) !== 0
+  }
+
+  // The rail a minecart at this position rides on, it can be in the block below when going down a slope
+  function getRailBlock (world, x, y, z) {
+    const railPos = new Vec3(Math.floor(x), Math.floor(y), Math.floor(z))
+    const blockBelow = world.getBlock(railPos.offset(0, -1, 0))
+    if (isRail(blockBelow)) return blockBelow
+    const block = world.getBlock(railPos)
+    return isRail(block) ? block : null
+  }
+
+  // AbstractMinecart.getPos: project a position onto the rail it is on, null if there is no rail
+  function getRailTrackPos (world, x, y, z) {
+    const rail = getRailBlock(world, x, y, z)
+    if (!rail) return null
+    const railPos = rail.position
+    const [exitA, exitB] = railExits[getRailShape(rail)]
+    const ax = railPos.x + 0.5 + exitA.x * 0.5
+    const ay = railPos.y + 0.0625 + exitA.y * 0.5
+    const az = railPos.z + 0.5 + exitA.z * 0.5
+    const dx = railPos.x + 0.5 + exitB.x * 0.5 - ax
+    const dy = (railPos.y + 0.0625 + exitB.y * 0.5 - ay) * 2
+    const dz = railPos.z + 0.5 + exitB.z * 0.5 - az
+    let t
+    if (dx === 0) t = z - railPos.z
+    else if (dz === 0) t = x - railPos.x
+    else t = ((x - ax) * dx + (z - az) * dz) * 2
+    const trackPos = new Vec3(ax + dx * t, ay + dy * t, az + dz * t)
+    if (dy < 0) trackPos.y += 1
+    else if (dy > 0) trackPos.y += 0.5
+    return trackPos
+  }
+
+  // AbstractMinecart.moveAlongTrack
+  function moveMinecartAlongTrack (cart, world, rail, maxSpeed) {
+    const vel = cart.vel
+    const pos = cart.pos
+    const railPos = rail.position.clone()
+    const shape = getRailShape(rail)
+    const oldTrackPos = getRailTrackPos(world, pos.x, pos.y, pos.z)
+    let y = railPos.y
+
+    let powered = false
+    let braking = false
+    if (rail.type === poweredRailId) {
+      powered = isRailPowered(rail)
+      braking = !powered
+    }
+
+    const slopeAcceleration = physics.minecartSlopeAcceleration * (cart.isInWater ? 0.2 : 1)
+    if (shape === 'ascending_east') vel.x -= slopeAcceleration
+    else if (shape === 'ascending_west') vel.x += slopeAcceleration
+    else if (shape === 'ascending_north') vel.z += slopeAcceleration
+    else if (shape === 'ascending_south') vel.z -= slopeAcceleration
+    if (shape.startsWith('ascending_')) y++
+
+    // Redirect the velocity along the rail
+    const [exitA, exitB] = railExits[shape]
+    let railX = exitB.x - exitA.x
+    let railZ = exitB.z - exitA.z
+    const railLength = Math.sqrt(railX * railX + railZ * railZ)
+    if (vel.x * railX + vel.z * railZ < 0) {
+      railX = -railX
+      railZ = -railZ
+    }
+    const speed = Math.min(physics.minecartMaxRailSpeed, Math.sqrt(vel.x * vel.x + vel.z * vel.z))
+    vel.x = speed * railX / railLength
+    vel.z = speed * railZ / railLength
+
+    const passengerVel = cart.passengerVel
+    if (cart.hasPassenger && passengerVel.x * passengerVel.x + passengerVel.z * passengerVel.z > 1.0e-4 &&
+      vel.x * vel.x + vel.z * vel.z < 0.01) {
+      vel.x += passengerVel.x * 0.1
+      vel.z += passengerVel.z * 0.1
+      braking = false
+    }
+
+    if (braking) {
+      if (Math.sqrt(vel.x * vel.x + vel.z * vel.z) < physics.minecartBrakeMinSpeed) {
+        vel.x = 0
+        vel.y = 0
+        vel.z = 0
+      } else {
+        vel.x *= 0.5
+        vel.y = 0
+        vel.z *= 0.5
+      }
+    }
+
+    // Snap the cart onto the rail
+    const ax = railPos.x + 0.5 + exitA.x * 0.5
+    const az = railPos.z + 0.5 + exitA.z * 0.5
+    const dx = railPos.x + 0.5 + exitB.x * 0.5 - ax
+    const dz = railPos.z + 0.5 + exitB.z * 0.5 - az
+    let t
+    if (dx === 0) t = pos.z - railPos.z
+    else if (dz === 0) t = pos.x - railPos.x
+    else t = ((pos.x - ax) * dx + (pos.z - az) * dz) * 2
+    pos.x = ax + dx * t
+    pos.y = y
+    pos.z = az + dz * t
+
+    const speedFactor = cart.hasPassenger ? physics.minecartRiddenSpeedFactor : 1
+    moveEntity(cart, world,
+      math.clamp(-maxSpeed, speedFactor * vel.x, maxSpeed), 0,
+      math.clamp(-maxSpeed, speedFactor * vel.z, maxSpeed))
+
+    if (exitA.y !== 0 && Math.floor(pos.x) - railPos.x === exitA.x && Math.floor(pos.z) - railPos.z === exitA.z) {
+      pos.y += exitA.y
+    } else if (exitB.y !== 0 && Math.floor(pos.x) - railPos.x === exitB.x && Math.floor(pos.z) - railPos.z === exitB.z) {
+      pos.y += exitB.y
+    }
+
+    // AbstractMinecart.applyNaturalSlowdown
+    const drag = cart.hasPassenger ? physics.minecartRiddenDrag : physics.minecartDrag
+    vel.x *= drag
+    vel.y = 0
+    vel.z *= drag
+    if (cart.isInWater) {
+      vel.x *= physics.minecartWaterDrag
+      vel.z *= physics.minecartWaterDrag
+    }
+
+    // Speed up when going down and slow down when going up
+    const trackPos = getRailTrackPos(world, pos.x, pos.y, pos.z)
+    if (trackPos && oldTrackPos) {
+      const slopeSpeed = (oldTrackPos.y - trackPos.y) * 0.05
+      const horizontalSpeed = Math.sqrt(vel.x * vel.x + vel.z * vel.z)
+      if (horizontalSpeed > 0) {
+        vel.x *= (horizontalSpeed + slopeSpeed) / horizontalSpeed
+        vel.z *= (horizontalSpeed + slopeSpeed) / horizontalSpeed
+      }
+      pos.y = trackPos.y
+    }
+
+    // Entering a new block turns the velocity towards it
+    const blockX = Math.floor(pos.x)
+    const blockZ = Math.floor(pos.z)
+    if (blockX !== railPos.x || blockZ !== railPos.z) {
+      const horizontalSpeed = Math.sqrt(vel.x * vel.x + vel.z * vel.z)
+      vel.x = horizontalSpeed * (blockX - railPos.x)
+      vel.z = horizontalSpeed * (blockZ - railPos.z)
+    }
+
+    if (powered) {
+      const horizontalSpeed = Math.sqrt(vel.x * vel.x + vel.z * vel.z)
+      if (horizontalSpeed > 0.01) {
+        vel.x += vel.x / horizontalSpeed * physics.minecartPoweredAcceleration
+        vel.z += vel.z / horizontalSpeed * physics.minecartPoweredAcceleration
+      } else {
+        // Kick start still carts away from a solid block
+        const isSolid = (dx, dz) => {
+          const block = world.getBlock(railPos.offset(dx, 0, dz))
+          return block != null && block.boundingBox === 'block'
+        }
+        if (shape === 'east_west') {
+          if (isSolid(-1, 0)) vel.x = physics.minecartKickStartSpeed
+          else if (isSolid(1, 0)) vel.x = -physics.minecartKickStartSpeed
+        } else if (shape === 'north_south') {
+          if (isSolid(0, -1)) vel.z = physics.minecartKickStartSpeed
+          else if (isSolid(0, 1)) vel.z = -physics.minecartKickStartSpeed
+        }
+      }
+    }
+  }
+
+  physics.simulateMinecart = (cart, world) => {
+    releaseBlockBBs()
+    const vel = cart.vel
+    cart.width = physics.minecartWidth
+    cart.height = physics.minecartHeight
+    cart.stepHeight = 0
+
+    const waterBB = getEntityBB(cart, cart.pos, scratch.vehicleBB).contract(0.001, 0.001, 0.001)
+    cart.isInWater = getWaterInBB(world, waterBB).length > 0
+    const maxSpeed = cart.isInWater ? physics.minecartWaterMaxSpeed : physics.minecartMaxSpeed
+
+    vel.y -= cart.isInWater ? physics.minecartWaterGravity : physics.minecartGravity
+
+    const rail = getRailBlock(world, cart.pos.x, cart.pos.y, cart.pos.z)
+    cart.rail = rail ? mcData.blocks[rail.type].name : null
+    if (rail) {
+      moveMinecartAlongTrack(cart, world, rail, maxSpeed)
+    } else {
+      // AbstractMinecart.comeOffTrack
+      vel.x = math.clamp(-maxSpeed, vel.x, maxSpeed)
+      vel.z = math.clamp(-maxSpeed, vel.z, maxSpeed)
+      if (cart.onGround) vel.scale(0.5)
+      moveEntity(cart, world, vel.x, vel.y, vel.z)
+      if (!cart.onGround) vel.scale(0.95)
+    }
+
+    return cart
+  }
+
+  function getMountProfile (mount) {
+    const profile = physics.mountProfiles[mount.name]
+    if (!profile) throw new Error(`Entity type '${mount.name}' is not a rideable mount`)
+    getEntityProfile(mount) // throws for unknown hitboxes
+    return profile
+  }
+
+  // AbstractHorse.onPlayerJump, power is the jump bar charge in percents
+  function startMountJump (mount, profile, power) {
+    if (profile.type === 'camel' && (mount.dashCooldown > 0 || !mount.onGround)) return
+    mount.jumpPendingScale = power >= 90 ? 1.0 : 0.4 + 0.4 * Math.max(power, 0) / 90
+  }
+
+  // AbstractHorse.executeRidersJump and Camel.executeRidersJump. The camel dash uses the movement speed attribute,
+  // without the sprint bonus
+  function executeMountJump (mount, world, profile, forward, movementSpeed) {
+    const vel = mount.vel
+    const scale = mount.jumpPendingScale
+    const jumpFactor = getBlockJumpFactor(world, mount.pos)
+    const jumpStrength = getEntityAttributeValue(mount, physics.horseJumpStrengthAttribute, profile.jumpStrength)
+    const jumpBoostPower = 0.1 * mount.jumpBoost
+
+    if (profile.type === 'camel') {
+      const dashSpeed = physics.camelDashSpeed * scale * movementSpeed * getBlockSpeedFactor(mount, world)
+      vel.x -= Math.sin(mount.yaw) * dashSpeed
+      vel.y += physics.camelDashJumpSpeed * scale * (jumpStrength * jumpFactor + jumpBoostPower)
+      vel.z -= Math.cos(mount.yaw) * dashSpeed
+      mount.dashCooldown = physics.camelDashCooldown
+    } else {
+      vel.y = jumpStrength * scale * jumpFactor + jumpBoostPower
+      if (forward > 0) {
+        vel.x -= Math.sin(mount.yaw) * physics.mountForwardJumpSpeed * scale
+        vel.z -= Math.cos(mount.yaw) * physics.mountForwardJumpSpeed * scale
+      }
+    }
+    mount.isJumping = true
+  }
+
+  physics.simulateMount = (mount, world) => {
+    releaseBlockBBs()
+    const vel = mount.vel
+    const pos = mount.pos
+    const control = mount.control
+    const profile = getMountProfile(mount)
+    mount.stepHeight = profile.stepHeight
+    mount.walkOnLava = profile.walkOnLava ?? false
+
+    // Reset velocity component if it falls under the threshold
+    if (Math.abs(vel.x) < physics.negligeableVelocity) vel.x = 0
+    if (Math.abs(vel.y) < physics.negligeableVelocity) vel.y = 0
+    if (Math.abs(vel.z) < physics.negligeableVelocity) vel.z = 0
+
+    if (mount.dashCooldown > 0) mount.dashCooldown--
+
+    const mountBB = getEntityBB(mount, pos, scratch.vehicleBB).contract(0.001, 0.001, 0.001)
+    mount.isInWater = getWaterInBB(world, mountBB).length > 0
+    mount.isInLava = isMaterialInBB(world, mountBB, lavaIds)
+
+    // Strider.floatStrider: rise to the surface of lava
+    if (mount.walkOnLava && mount.isInLava) {
+      const cursor = scratch.lavaCursor.set(Math.floor(pos.x), Math.floor(pos.y), Math.floor(pos.z))
+      const blockAtFeet = getCachedBlock(world, cursor)
+      if (isLavaSource(blockAtFeet) && pos.y >= cursor.y + 0.5 - 1e-5 &&
+        !isLavaSource(getCachedBlock(world, scratch.lavaAboveCursor.set(cursor.x, cursor.y + 1, cursor.z)))) {
+        mount.onGround = true
+      } else {
+        vel.scale(0.5)
+        vel.y += 0.05
+      }
+    }
+
+    const attributeSpeed = getEntityAttributeValue(mount, physics.movementSpeedAttribute, profile.movementSpeed)
+    let movementSpeed = attributeSpeed
+    let strafe = 0
+    let forward = 1
+    if (profile.type === 'steered') {
+      const cold = profile.coldSpeedFactor !== undefined && !mount.isInLava
+      movementSpeed *= cold ? profile.coldSpeedFactor : profile.riddenSpeedFactor
+    } else {
+      strafe = (control.right - control.left) * 0.98 * 0.5
+      forward = (control.forward - control.back) * 0.98
+      if (forward <= 0) forward *= 0.25
+      if (profile.type === 'camel' && control.sprint && mount.dashCooldown === 0) {
+        movementSpeed += physics.camelSprintSpeed
+      }
+
+      // AbstractHorse.tickRidden: a jump charged in the air waits for the landing
+      if (mount.onGround) {
+        mount.isJumping = false
+        if (mount.jumpPendingScale > 0) executeMountJump(mount, world, profile, forward, attributeSpeed)
+        mount.jumpPendingScale = 0
+      }
+    }
+
+    // LivingEntity.travel
+    if (mount.isInWater || (mount.isInLava && !mount.walkOnLava)) {
+      const lastY = pos.y
+      const inertia = mount.isInWater ? physics.waterInertia : physics.lavaInertia
+      applyHeading(mount, strafe, forward, physics.liquidAcceleration)
+      moveEntity(mount, world, vel.x, vel.y, vel.z)
+      vel.y *= inertia
+      vel.y -= mount.isInWater ? physics.waterGravity : physics.lavaGravity
+      vel.x *= inertia
+      vel.z *= inertia
+
+      if (mount.isCollidedHorizontally && doesNotCollide(mount, world, scratch.liquidJumpPos.set(pos.x + vel.x, lastY + vel.y + 0.6, pos.z + vel.z))) {
+        vel.y = physics.outOfLiquidImpulse // jump out of liquid
+      }
+    } else {
+      let acceleration
+      let inertia
+      const blockUnder = getCachedBlock(world, scratch.headingCursor.set(Math.floor(pos.x), Math.floor(pos.y) - 1, Math.floor(pos.z)))
+      if (mount.onGround && blockUnder) {
+        inertia = (blockSlipperiness[blockUnder.type] || physics.defaultSlipperiness) * 0.91
+        acceleration = movementSpeed * (0.1627714 / (inertia * inertia * inertia))
+      } else {
+        inertia = physics.airborneInertia
+        acceleration = profile.type === 'steered' ? physics.airborneAcceleration : movementSpeed * physics.mountAirborneSpeedFactor
+      }
+      applyHeading(mount, strafe, forward, acceleration)
+      moveEntity(mount, world, vel.x, vel.y, vel.z)
+      vel.y -= physics.gravity
+      vel.y *= physics.airdrag
+      vel.x *= inertia
+      vel.z *= inertia
+    }
+
+    // LocalPlayer.aiStep: the rider charges the jump bar while jump is held and jumps when releasing it
+    if (profile.type !== 'steered') {
+      if (mount.jumpRidingTicks < 0) {
+        mount.jumpRidingTicks++
+        if (mount.jumpRidingTicks === 0) mount.jumpRidingScale = 0
+      }
+      if (mount.wasJumping && !control.jump) {
+        mount.jumpRidingTicks = -10
+        startMountJump(mount, profile, Math.floor(mount.jumpRidingScale * 100))
+      } else if (!mount.wasJumping && control.jump) {
+        mount.jumpRidingTicks = 0
+        mount.jumpRidingScale = 0
+      } else if (mount.wasJumping) {
+        mount.jumpRidingTicks++
+        if (mount.jumpRidingTicks < 10) {
+          mount.jumpRidingScale = mount.jumpRidingTicks * 0.1
+        } else {
+          mount.jumpRidingScale = 0.8 + 2.0 / (mount.jumpRidingTicks - 9) * 0.1
+        }
+      }
+      mount.wasJumping = control.jump
+    }
+
+    return mount
+  }
+
+  physics.simulateEntity = (entity, world) => {
+    releaseBlockBBs()
+    const vel = entity.vel
+    const profile = getEntityProfile(entity)
+    entity.stepHeight = profile.stepHeight
+
+    // Reset velocity component if it falls under the threshold
+    if (Math.abs(vel.x) < physics.negligeableVelocity) vel.x = 0
+    if (Math.abs(vel.y) < physics.negligeableVelocity) vel.y = 0
+    if (Math.abs(vel.z) < physics.negligeableVelocity) vel.z = 0
+
+    if (profile.gravityFirst) vel.y -= profile.gravity
+    moveEntity(entity, world, vel.x, vel.y, vel.z)
+    if (!profile.gravityFirst) vel.y -= profile.gravity
+
+    let horizontalDrag = profile.horizontalDrag
+    if (profile.groundFriction && entity.onGround) {
+      const blockUnder = world.getBlock(entity.pos.offset(0, -1, 0))
+      horizontalDrag *= (blockUnder && blockSlipperiness[blockUnder.type]) || physics.defaultSlipperiness
+    }
+    vel.x *= horizontalDrag
+    vel.y *= profile.drag
+    vel.z *= horizontalDrag
+
+    if (entity.onGround) {
+      vel.x *= profile.groundHorizontalDrag
+      // ItemEntity.tick: the bounce only reverses a falling velocity
+      if (vel.y < 0) vel.y *= profile.groundVerticalDrag
+      vel.z *= profile.groundHorizontalDrag
+    }
 
     return entity
   }
 
+  // Stop conditions for rollout, called with the state after each tick and the snapshot of the tick before
+  physics.rolloutConditions = {
+    landed: (state, previous) => state.onGround && !previous.onGround,
+    enteredWater: (state, previous) => state.isInWater && !previous.isInWater,
+    belowY: (y) => (state) => state.pos.y < y,
+    aboveY: (y) => (state) => state.pos.y >= y
+  }
+
+  // Simulate a copy of the player state, controls is either a control object or a function (state, tick) returning one
+  physics.rollout = (playerState, controls, ticks, world, options = {}) => withCollisionCache(world, () => {
+    const state = playerState.clone()
+    const until = [].concat(options.until ?? [])
+    const snapshots = []
+    let previous = state.snapshot()
+    for (let tick = 0; tick < ticks; tick++) {
+      state.control = { ...(typeof controls === 'function' ? controls(state, tick) : controls) }
+      physics.simulatePlayer(state, world)
+      const snapshot = state.snapshot()
+      snapshot.tick = tick + 1
+      snapshots.push(snapshot)
+      if (until.some(condition => condition(state, previous))) {
+        return { state, snapshots, stopped: true }
+      }
+      previous = snapshot
+    }
+    return { state, snapshots, stopped: false }
+  })
+
+  const controlNames = ['forward', 'back', 'left', 'right', 'jump', 'sprint', 'sneak']
+
+  // The jump key only changes the movement of players on the ground, flying, in a liquid or climbing
+  function canUseJump (state, world) {
+    if (state.onGround || state.flying || state.gameMode === 'spectator') return true
+    const bb = getPlayerBB(state.pos, state.pose, scratch.validationBB)
+    return getWaterInBB(world, bb).length > 0 || isMaterialInBB(world, bb, lavaIds) || isOnLadder(world, state.pos) ||
+      (state.leatherBootsEquipped && isFeetInPowderSnow(world, state.pos))
+  }
+
+  // Control states tried by validateMovement. Opposite keys cancel each other so they are not pressed together, a
+  // vanilla client only sprints forward and stops sprinting when sneaking, and jump is only tried when it can be used
+  function getValidationControls (state, world) {
+    const controls = []
+    for (const forward of [1, 0, -1]) {
+      for (const strafe of [0, -1, 1]) {
+        const walk = { forward: forward === 1, back: forward === -1, left: strafe === -1, right: strafe === 1, jump: false, sprint: false, sneak: false }
+        const variants = [walk, { ...walk, sneak: true }]
+        if (forward === 1) variants.push({ ...walk, sprint: true })
+        if (canUseJump(state, world)) variants.push(...variants.map(control => ({ ...control, jump: true })))
+        controls.push(...variants)
+      }
+    }
+    return controls
+  }
+
+  // Rotations tried by validateMovement: the previous one and evenly spaced yaws. The pitch only changes the
+  // movement of gliding and swimming players, so other pitches are only tried for them
+  function getValidationRotations (state, options) {
+    const yawSteps = options.yawSteps ?? 16
+    const yaws = options.yaws ?? [state.yaw, ...Array.from({ length: yawSteps }, (_, i) => i * 2 * Math.PI / yawSteps)]
+    const pitches = options.pitches ?? (isPitchDependent(state) ? [state.pitch, -Math.PI / 2, 0, Math.PI / 2] : [state.pitch])
+    return yaws.flatMap(yaw => pitches.map(pitch => ({ yaw, pitch })))
+  }
+
+  function isPitchDependent (state) {
+    return state.elytraFlying || state.swimming || state.isInWater
+  }
+
+  // Number of golden section steps refining the yaw in validateMovement, each one shrinks the searched range by 0.618
+  const validationYawRefinements = 16
+
+  // Check a position claimed by a client against the positions reachable in one tick from its previous state. Every
+  // control state is simulated with every rotation, except that the rotation does not matter without a direction key
+  // unless the pitch does. The positions reached between two sampled yaws are then found by refining the yaw of the
+  // controls whose samples come close enough to the claimed position.
+  physics.validateMovement = (previousState, claimedPos, claimedOnGround, world, options = {}) => withCollisionCache(world, () => {
+    const tolerance = options.tolerance ?? 0.001
+    const rotations = getValidationRotations(previousState, options)
+    const pitchCount = rotations.length / (options.yaws ? options.yaws.length : (options.yawSteps ?? 16) + 1)
+    const pitchDependent = isPitchDependent(previousState)
+    let best = null
+    let nearestAny = null
+    const simulate = (control, yaw, pitch) => {
+      const state = previousState.clone()
+      state.control = control
+      state.yaw = yaw
+      state.pitch = pitch
+      physics.simulatePlayer(state, world)
+      const result = { state, control, yaw, pitch, distance: state.pos.distanceTo(claimedPos) }
+      if (!nearestAny || result.distance < nearestAny.distance) nearestAny = result
+      if (state.onGround === claimedOnGround && (!best || result.distance < best.distance)) best = result
+      return result
+    }
+
+    // Nearest sample of each control with a direction key, and the largest distance between the samples of two
+    // consecutive yaws. The positions reached between them are within that distance of one of them.
+    const candidates = []
+    for (const control of getValidationControls(previousState, world)) {
+      const directional = control.forward || control.back || control.left || control.right
+      if (!directional && !pitchDependent) {
+        simulate(control, previousState.yaw, previousState.pitch)
+        continue
+      }
+      const results = rotations.map(({ yaw, pitch }) => simulate(control, yaw, pitch))
+      if (options.yaws) continue
+      const samples = results.slice(pitchCount) // the evenly spaced yaws, after the previous yaw
+      let gap = 0
+      for (let i = 0; i < samples.length; i++) {
+        gap = Math.max(gap, samples[i].state.pos.distanceTo(samples[(i + pitchCount) % samples.length].state.pos))
+      }
+      const nearest = results.filter(result => result.state.onGround === claimedOnGround)
+        .reduce((nearest, result) => !nearest || result.distance < nearest.distance ? result : nearest, null)
+      if (nearest) candidates.push({ nearest, gap })
+    }
+
+    // Golden section search of the yaw within one step of the nearest sample of the candidate controls
+    const yawStep = 2 * Math.PI / (options.yawSteps ?? 16)
+    const ratio = (Math.sqrt(5) - 1) / 2
+    for (const { nearest, gap } of candidates) {
+      if (best.distance <= tolerance) break
+      if (nearest.distance > gap + tolerance) continue
+      let low = nearest.yaw - yawStep
+      let high = nearest.yaw + yawStep
+      let left = simulate(nearest.control, high - ratio * (high - low), nearest.pitch)
+      let right = simulate(nearest.control, low + ratio * (high - low), nearest.pitch)
+      for (let i = 0; i < validationYawRefinements; i++) {
+        if (left.distance < right.distance) {
+          high = right.yaw
+          right = left
+          left = simulate(nearest.control, high - ratio * (high - low), nearest.pitch)
+        } else {
+          low = left.yaw
+          left = right
+          right = simulate(nearest.control, low + ratio * (high - low), nearest.pitch)
+        }
+      }
+    }
+
+    const onGroundReachable = best !== null
+    const nearest = best ?? nearestAny
+    return {
+      plausible: onGroundReachable && nearest.distance <= tolerance,
+      distance: nearest.distance,
+      onGroundReachable,
+      nearest: { pos: nearest.state.pos, control: nearest.control, yaw: nearest.yaw, pitch: nearest.pitch }
+    }
+  })
+
+  // Control states tried each tick by findControls: the 8 directions and standing still, sneaking, sprinting forward
+  // and jumping as allowed by the options
+  function getSearchControls (options) {
+    const controls = []
+    for (const forward of [1, 0, -1]) {
+      for (const strafe of [0, -1, 1]) {
+        const walk = { forward: forward === 1, back: forward === -1, left: strafe === -1, right: strafe === 1, jump: false, sprint: false, sneak: false }
+        const variants = [walk]
+        if (options.allowSprint ?? true) { if (forward === 1) variants.push({ ...walk, sprint: true }) }
+        if (options.allowSneak ?? true) variants.push({ ...walk, sneak: true })
+        if (options.allowJump ?? true) variants.push(...variants.map(control => ({ ...control, jump: true })))
+        controls.push(...variants)
+      }
+    }
+    return controls
+  }
+
+  // Cost of a tick for findControls: one per tick, and one per key pressed or released
+  function getControlChangeCost (previousControl, control) {
+    return 1 + controlNames.filter(name => !!previousControl[name] !== control[name]).length
+  }
+
+  // Horizontal distance covered by a sprint jump each tick, the fastest walking movement
+  const sprintJumpSpeed = 0.35
+
+  // Beam search of the inputs bringing the player within the tolerance of the target, with the lowest total cost.
+  // Each tick, the player faces the target and every control state is tried from the best states of the tick
+  // before, ranked by their cost plus an estimation of the cost left.
+  physics.findControls = (playerState, targetPos, maxTicks, world, options = {}) => withCollisionCache(world, () => {
+    const tolerance = options.tolerance ?? 0.05
+    const maxEndSpeed = options.maxEndSpeed ?? Infinity
+    const beamWidth = options.beamWidth ?? 16
+    const cost = options.cost ?? getControlChangeCost
+    const heuristic = options.heuristic ?? ((state) => Math.max(0, state.pos.xzDistanceTo(targetPos) - tolerance) / sprintJumpSpeed)
+    const controls = getSearchControls(options)
+
+    const isAtTarget = (state) => state.pos.distanceTo(targetPos) <= tolerance &&
+        Math.sqrt(state.vel.x * state.vel.x + state.vel.z * state.vel.z) <= maxEndSpeed
+
+    let beam = [{ state: playerState.clone(), parent: null, input: null, cost: 0 }]
+    let best = null
+    for (let tick = 0; tick < maxTicks && beam.length > 0; tick++) {
+      const children = new Map()
+      for (const node of beam) {
+        const state = node.state
+        const previousControl = node.input ? node.input.control : playerState.control
+        const yaw = state.pos.xzDistanceTo(targetPos) > 1e-3 ? getYawTowards(state.pos, targetPos) : state.yaw
+        for (const control of controls) {
+          const child = state.clone()
+          child.control = { ...control }
+          child.yaw = yaw
+          physics.simulatePlayer(child, world)
+          const childNode = { state: child, parent: node, input: { control, yaw }, cost: node.cost + cost(previousControl, control, child) }
+          if (isAtTarget(child)) {
+            if (!best || childNode.cost < best.cost) best = childNode
+            continue
+          }
+          // Keep the cheapest of the nodes reaching the same state
+          const key = [child.pos.x, child.pos.y, child.pos.z, child.vel.x, child.vel.y, child.vel.z].map(value => value.toFixed(4)).join() + child.onGround
+          const other = children.get(key)
+          if (!other || childNode.cost < other.cost) children.set(key, childNode)
+        }
+      }
+      for (const node of children.values()) node.estimate = node.cost + heuristic(node.state, targetPos)
+      beam = [...children.values()].sort((a, b) => a.estimate - b.estimate).slice(0, beamWidth)
+      // No state of the beam can lead to a cheaper solution
+      if (best && beam.every(node => node.estimate >= best.cost)) break
+    }
+    if (!best) return null
+
+    const inputs = []
+    for (let node = best; node.parent; node = node.parent) inputs.unshift({ control: { ...node.input.control }, yaw: node.input.yaw })
+    return { inputs, cost: best.cost, state: best.state }
+  })
+
+  // Height of the top of the collision shapes of a block, or null if it has none
+  function getBlockTop (world, pos) {
+    const block = world.getBlock(pos)
+    if (!block || block.shapes.length === 0) return null
+    return pos.y + Math.max(...block.shapes.map(shape => shape[4]))
+  }
+
+  // Yaw facing a point from a position
+  function getYawTowards (pos, point) {
+    return Math.atan2(pos.x - point.x, pos.z - point.z)
+  }
+
+  const parkourControls = {
+    idle: { forward: false, back: false, left: false, right: false, jump: false, sprint: false, sneak: false },
+    backUp: { forward: false, back: true, left: false, right: false, jump: false, sprint: false, sneak: false },
+    run: { forward: true, back: false, left: false, right: false, jump: false, sprint: true, sneak: false },
+    jump: { forward: true, back: false, left: false, right: false, jump: true, sprint: true, sneak: false }
+  }
+
+  // Search a jump from the top of the start block to the top of the target block. The plans tried back up for
+  // some ticks (for a longer run-up), sprint forward for some ticks, jump, and keep sprinting in the air, with the
+  // yaw facing the target or turned by one of the yaw offsets. In the air, the yaw either stays or turns towards
+  // the target after some ticks, to jump around corners (neo jumps). Headhitter jumps only differ by the world.
+  // Returns null when none of these plans lands on the target, which does not prove that the jump is impossible.
+  physics.solveParkourJump = (start, target, world, options = {}) => withCollisionCache(world, () => {
+    const startTop = getBlockTop(world, start)
+    const targetTop = getBlockTop(world, target)
+    if (startTop === null || targetTop === null) throw new Error('The start and target blocks should have a collision shape')
+
+    const maxTicks = options.maxTicks ?? 40
+    const maxBackUpTicks = options.maxBackUpTicks ?? 6
+    const maxRunUpTicks = options.maxRunUpTicks ?? 12
+    const yawOffsets = options.yawOffsets ?? [0, -1, 1, -2, 2, -3, 3].map(i => i * Math.PI / 8)
+    const steerTicks = options.steerTicks ?? [null, 0, 3, 6]
+
+    const standing = { pos: new Vec3(start.x + 0.5, startTop, start.z + 0.5), vel: new Vec3(0, 0, 0), onGround: true, jumpTicks: 0, jumpQueued: false }
+    const initial = options.state
+      ? Object.assign(options.state.clone(), standing)
+      : PlayerState.create(mcData, {
+        ...standing,
+        yaw: 0,
+        pitch: 0,
+        control: parkourControls.idle,
+        jumpBoost: 0,
+        speed: 0,
+        slowness: 0,
+        dolphinsGrace: 0,
+        slowFalling: 0,
+        levitation: 0,
+        depthStrider: 0,
+        featherFalling: 0,
+        soulSpeed: 0,
+        elytraEquipped: false,
+        leatherBootsEquipped: false
+      })
+    const targetCenter = target.offset(0.5, 0, 0.5)
+    const directYaw = getYawTowards(initial.pos, targetCenter)
+
+    const getPlanTicks = (plan) => plan.reduce((ticks, input) => ticks + input.ticks, 0)
+    // Standing on the target when on ground at its top, with the hitbox above it
+    const isOnTarget = (state) => {
+      if (!state.onGround || Math.abs(state.pos.y - targetTop) > 1e-6) return false
+      const halfWidth = getEntityHalfWidth(state)
+      return Math.abs(state.pos.x - (target.x + 0.5)) < 0.5 + halfWidth && Math.abs(state.pos.z - (target.z + 0.5)) < 0.5 + halfWidth
+    }
+
+    function step (state, plan, control, yaw) {
+      state.control = { ...control }
+      state.yaw = yaw
+      physics.simulatePlayer(state, world)
+      const last = plan[plan.length - 1]
+      if (last && last.control === control && last.yaw === yaw) last.ticks++
+      else plan.push({ ticks: 1, control, yaw })
+    }
+
+    function tryJump (runUp, runUpPlan, yaw, steerTick) {
+      const state = runUp.clone()
+      const plan = runUpPlan.map(input => ({ ...input }))
+      step(state, plan, parkourControls.jump, yaw)
+      for (let tick = 0; !state.onGround; tick++) {
+        // Landing on the target is no longer possible once below its top
+        if (getPlanTicks(plan) >= maxTicks || (state.vel.y < 0 && state.pos.y < targetTop)) return null
+        const airYaw = steerTick !== null && tick >= steerTick ? getYawTowards(state.pos, targetCenter) : yaw
+        step(state, plan, parkourControls.run, airYaw)
+      }
+      if (!isOnTarget(state)) return null
+
+      // The momentum left after landing should not carry the player off the target
+      const landingYaw = state.yaw
+      for (let tick = 0; tick < 20 && (state.vel.x !== 0 || state.vel.z !== 0); tick++) {
+        step(state, plan, parkourControls.idle, landingYaw)
+        if (!isOnTarget(state)) return null
+      }
+      return {
+        plan: plan.map(input => ({ ...input, control: { ...input.control } })),
+        ticks: getPlanTicks(plan),
+        state
+      }
+    }
+
+    for (const yawOffset of yawOffsets) {
+      const yaw = directYaw + yawOffset
+      for (let backUpTicks = 0; backUpTicks <= maxBackUpTicks; backUpTicks++) {
+        const runUp = initial.clone()
+        const runUpPlan = []
+        for (let tick = 0; tick < backUpTicks; tick++) step(runUp, runUpPlan, parkourControls.backUp, yaw)
+        for (let runUpTicks = 0; runUpTicks <= maxRunUpTicks; runUpTicks++) {
+          if (runUpTicks > 0) step(runUp, runUpPlan, parkourControls.run, yaw)
+          // Walked off an edge, or no tick left to jump
+          if (!runUp.onGround || getPlanTicks(runUpPlan) >= maxTicks) break
+          for (const steerTick of steerTicks) {
+            const result = tryJump(runUp, runUpPlan, yaw, steerTick)
+            if (result) return result
+          }
+        }
+      }
+    }
+    return null
+  })
+
   return physics
 }
 
+// Copy vectors, arrays and plain objects so that the copy shares no mutable value with the original
+function deepCopy (value) {
+  if (value instanceof Vec3) return value.clone()
+  if (Array.isArray(value)) return value.map(deepCopy)
+  if (value !== null && typeof value === 'object') {
+    const copy = {}
+    for (const key of Object.keys(value)) copy[key] = deepCopy(value[key])
+    return copy
+  }
+  return value
+}
+
 function getEffectLevel (mcData, effectName, effects) {
   const effectDescriptor = mcData.effectsByName[effectName]
   if (!effectDescriptor) {
@@ -842,11 +2568,69 @@ function getEnchantmentLevel (mcData, enchantmentName, enchantments) {
   return 0
 }
 
+// Fields that PlayerState.create requires, with their type
+const requiredPlayerStateFields = {
+  pos: 'vec3',
+  vel: 'vec3',
+  yaw: 'number',
+  pitch: 'number',
+  control: 'object',
+  // effect levels
+  jumpBoost: 'number',
+  speed: 'number',
+  slowness: 'number',
+  dolphinsGrace: 'number',
+  slowFalling: 'number',
+  levitation: 'number',
+  // boots enchantment levels
+  depthStrider: 'number',
+  featherFalling: 'number',
+  soulSpeed: 'number',
+  // equipment
+  elytraEquipped: 'boolean',
+  leatherBootsEquipped: 'boolean'
+}
+
+// Fields that PlayerState.create defaults to a player standing in the air
+const defaultPlayerStateFields = {
+  onGround: false,
+  isInWater: false,
+  isInLava: false,
+  isInWeb: false,
+  isInPowderSnow: false,
+  stuckInBlock: null,
+  stuckMultiplier: null,
+  isCollidedHorizontally: false,
+  isCollidedVertically: false,
+  elytraFlying: false,
+  jumpTicks: 0,
+  jumpQueued: false,
+  fireworkRocketDuration: 0,
+  pose: 'standing',
+  swimming: false,
+  fallDistance: 0,
+  fallDamage: 0,
+  movementBranch: null,
+  flying: false,
+  gameMode: 'survival',
+  flyingSpeed: 0.05,
+  attributes: undefined
+}
+
+const playerStateFieldValidators = {
+  vec3: (value) => value != null && typeof value.x === 'number' && typeof value.y === 'number' && typeof value.z === 'number',
+  number: (value) => typeof value === 'number',
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => typeof value === 'object' && value !== null
+}
+
 class PlayerState {
   constructor (bot, control) {
     const mcData = require('minecraft-data')(bot.version)
     const nbt = require('prismarine-nbt')
 
+    this.version = bot.version
+
     // Input / Outputs
     this.pos = bot.entity.position.clone()
     this.vel = bot.entity.velocity.clone()
@@ -854,14 +2638,30 @@ class PlayerState {
     this.isInWater = bot.entity.isInWater
     this.isInLava = bot.entity.isInLava
     this.isInWeb = bot.entity.isInWeb
+    this.isInPowderSnow = bot.entity.isInPowderSnow ?? false
+    this.stuckInBlock = bot.entity.stuckInBlock ?? null
+    this.stuckMultiplier = bot.entity.stuckMultiplier ?? null
     this.isCollidedHorizontally = bot.entity.isCollidedHorizontally
     this.isCollidedVertically = bot.entity.isCollidedVertically
     this.elytraFlying = bot.entity.elytraFlying
     this.jumpTicks = bot.jumpTicks
     this.jumpQueued = bot.jumpQueued
     this.fireworkRocketDuration = bot.fireworkRocketDuration
+    this.pose = bot.entity.pose ?? 'standing'
+    this.swimming = bot.entity.swimming ?? false
+    this.fallDistance = bot.entity.fallDistance ?? 0
+
+    // Output only
+    this.fallDamage = 0
+    this.movementBranch = null
+
+    // Creative and spectator flight, the abilities come from the player_abilities packet
+    const abilities = bot.physics?.abilities ?? {}
+    this.flying = abilities.flying ?? false
 
     // Input only (not modified)
+    this.gameMode = bot.game?.gameMode ?? 'survival'
+    this.flyingSpeed = abilities.flyingSpeed ?? 0.05
     this.attributes = bot.entity.attributes
     this.yaw = bot.entity.yaw
     this.pitch = bot.entity.pitch
@@ -884,10 +2684,17 @@ class PlayerState {
       const simplifiedNbt = nbt.simplify(boots.nbt)
       const enchantments = simplifiedNbt.Enchantments ?? simplifiedNbt.ench ?? []
       this.depthStrider = getEnchantmentLevel(mcData, 'depth_strider', enchantments)
+      this.featherFalling = getEnchantmentLevel(mcData, 'feather_falling', enchantments)
+      this.soulSpeed = getEnchantmentLevel(mcData, 'soul_speed', enchantments)
     } else {
       this.depthStrider = 0
+      this.featherFalling = 0
+      this.soulSpeed = 0
     }
 
+    // leather boots walk on powder snow
+    this.leatherBootsEquipped = boots != null && boots.name === 'leather_boots'
+
     // extra elytra requirements
     const item = bot.inventory.slots[6]
     this.elytraEquipped = item != null && item.name === 'elytra'
@@ -900,13 +2707,203 @@ class PlayerState {
     bot.entity.isInWater = this.isInWater
     bot.entity.isInLava = this.isInLava
     bot.entity.isInWeb = this.isInWeb
+    bot.entity.isInPowderSnow = this.isInPowderSnow
+    bot.entity.stuckInBlock = this.stuckInBlock
+    bot.entity.stuckMultiplier = this.stuckMultiplier
     bot.entity.isCollidedHorizontally = this.isCollidedHorizontally
     bot.entity.isCollidedVertically = this.isCollidedVertically
     bot.entity.elytraFlying = this.elytraFlying
     bot.jumpTicks = this.jumpTicks
     bot.jumpQueued = this.jumpQueued
     bot.fireworkRocketDuration = this.fireworkRocketDuration
+    bot.entity.pose = this.pose
+    bot.entity.swimming = this.swimming
+    bot.entity.fallDistance = this.fallDistance
+    if (bot.physics?.abilities) bot.physics.abilities.flying = this.flying
+  }
+
+  // Create a state without a bot, from plain fields as returned by toJSON
+  static create (mcData, fields) {
+    for (const [name, type] of Object.entries(requiredPlayerStateFields)) {
+      const value = fields[name]
+      if (value === undefined) throw new Error(`Missing PlayerState field '${name}'`)
+      if (!playerStateFieldValidators[type](value)) throw new Error(`PlayerState field '${name}' should be a ${type}`)
+    }
+    for (const name of Object.keys(fields)) {
+      if (!(name in requiredPlayerStateFields) && !(name in defaultPlayerStateFields)) {
+        throw new Error(`Unknown PlayerState field '${name}'`)
+      }
+    }
+
+    const state = Object.create(PlayerState.prototype)
+    state.version = mcData.version.minecraftVersion
+    for (const [name, value] of Object.entries({ ...defaultPlayerStateFields, ...fields })) {
+      state[name] = deepCopy(value)
+    }
+    state.pos = new Vec3(fields.pos.x, fields.pos.y, fields.pos.z)
+    state.vel = new Vec3(fields.vel.x, fields.vel.y, fields.vel.z)
+    return state
+  }
+
+  static fromJSON (json) {
+    const { version, ...fields } = typeof json === 'string' ? JSON.parse(json) : json
+    const mcData = require('minecraft-data')(version)
+    if (!mcData) throw new Error(`Unsupported PlayerState version '${version}'`)
+    return PlayerState.create(mcData, fields)
+  }
+
+  // Plain object with every field of the state and its version, vectors are converted to { x, y, z }
+  toJSON () {
+    const json = { version: this.version }
+    for (const name of [...Object.keys(requiredPlayerStateFields), ...Object.keys(defaultPlayerStateFields)]) {
+      json[name] = deepCopy(this[name])
+    }
+    json.pos = { x: this.pos.x, y: this.pos.y, z: this.pos.z }
+    json.vel = { x: this.vel.x, y: this.vel.y, z: this.vel.z }
+    return json
+  }
+
+  clone () {
+    const state = Object.create(PlayerState.prototype)
+    for (const key of Object.keys(this)) state[key] = deepCopy(this[key])
+    return state
+  }
+
+  // Plain object with the simulated properties, vectors are converted to { x, y, z }
+  snapshot () {
+    return {
+      pos: { x: this.pos.x, y: this.pos.y, z: this.pos.z },
+      vel: { x: this.vel.x, y: this.vel.y, z: this.vel.z },
+      onGround: this.onGround,
+      isInWater: this.isInWater,
+      isInLava: this.isInLava,
+      isInWeb: this.isInWeb,
+      isInPowderSnow: this.isInPowderSnow,
+      stuckInBlock: this.stuckInBlock,
+      stuckMultiplier: deepCopy(this.stuckMultiplier),
+      isCollidedHorizontally: this.isCollidedHorizontally,
+      isCollidedVertically: this.isCollidedVertically,
+      elytraFlying: this.elytraFlying,
+      flying: this.flying,
+      pose: this.pose,
+      swimming: this.swimming,
+      jumpTicks: this.jumpTicks,
+      fireworkRocketDuration: this.fireworkRocketDuration,
+      fallDistance: this.fallDistance,
+      fallDamage: this.fallDamage,
+      movementBranch: this.movementBranch
+    }
+  }
+}
+
+class EntityState {
+  constructor (entity) {
+    // Input / Outputs
+    this.pos = entity.position.clone()
+    this.vel = entity.velocity.clone()
+    this.onGround = entity.onGround ?? false
+    this.isInWeb = entity.isInWeb ?? false
+    this.isInPowderSnow = entity.isInPowderSnow ?? false
+    this.stuckInBlock = entity.stuckInBlock ?? null
+    this.stuckMultiplier = entity.stuckMultiplier ?? null
+    this.isCollidedHorizontally = entity.isCollidedHorizontally ?? false
+    this.isCollidedVertically = entity.isCollidedVertically ?? false
+
+    // Input only (not modified), width and height default to the minecraft-data hitbox
+    this.name = entity.name
+    this.width = entity.width ?? undefined
+    this.height = entity.height ?? undefined
+  }
+
+  apply (entity) {
+    entity.position = this.pos
+    entity.velocity = this.vel
+    entity.onGround = this.onGround
+    entity.isInWeb = this.isInWeb
+    entity.isInPowderSnow = this.isInPowderSnow
+    entity.stuckInBlock = this.stuckInBlock
+    entity.stuckMultiplier = this.stuckMultiplier
+    entity.isCollidedHorizontally = this.isCollidedHorizontally
+    entity.isCollidedVertically = this.isCollidedVertically
+  }
+}
+
+class BoatState extends EntityState {
+  constructor (boat, control) {
+    super(boat)
+
+    // Input / Outputs
+    this.yaw = boat.yaw
+    this.deltaRotation = boat.deltaRotation ?? 0
+    this.status = boat.status ?? null
+    this.waterLevel = boat.waterLevel ?? 0
+    this.landFriction = boat.landFriction ?? 0
+    this.lastVelY = boat.lastVelY ?? 0
+
+    // Input only (not modified)
+    this.control = control
+  }
+
+  apply (boat) {
+    super.apply(boat)
+    boat.yaw = this.yaw
+    boat.deltaRotation = this.deltaRotation
+    boat.status = this.status
+    boat.waterLevel = this.waterLevel
+    boat.landFriction = this.landFriction
+    boat.lastVelY = this.lastVelY
+  }
+}
+
+class MinecartState extends EntityState {
+  constructor (minecart, passenger) {
+    super(minecart)
+
+    // Outputs
+    this.isInWater = false
+    this.rail = null
+
+    // Input only (not modified)
+    this.hasPassenger = passenger != null
+    this.passengerVel = passenger != null ? passenger.velocity.clone() : new Vec3(0, 0, 0)
+  }
+}
+
+class MountState extends EntityState {
+  constructor (bot, control) {
+    const mcData = require('minecraft-data')(bot.version)
+    const mount = bot.vehicle
+    super(mount)
+
+    // Input / Outputs
+    this.isInWater = mount.isInWater ?? false
+    this.isInLava = mount.isInLava ?? false
+    this.isJumping = mount.isJumping ?? false
+    this.jumpPendingScale = mount.jumpPendingScale ?? 0
+    this.dashCooldown = mount.dashCooldown ?? 0
+    this.wasJumping = bot.wasJumping ?? false
+    this.jumpRidingTicks = bot.jumpRidingTicks ?? 0
+    this.jumpRidingScale = bot.jumpRidingScale ?? 0
+
+    // Input only (not modified), the rider looks where the mount goes
+    this.attributes = mount.attributes
+    this.yaw = bot.entity.yaw
+    this.control = control
+    this.jumpBoost = getEffectLevel(mcData, 'JumpBoost', mount.effects ?? {})
+  }
+
+  apply (bot) {
+    const mount = bot.vehicle
+    super.apply(mount)
+    mount.isInWater = this.isInWater
+    mount.isInLava = this.isInLava
+    mount.isJumping = this.isJumping
+    mount.jumpPendingScale = this.jumpPendingScale
+    mount.dashCooldown = this.dashCooldown
+    bot.wasJumping = this.wasJumping
+    bot.jumpRidingTicks = this.jumpRidingTicks
+    bot.jumpRidingScale = this.jumpRidingScale
   }
 }
 
-module.exports = { Physics, PlayerState, FeatureList }
+module.exports = { Physics, PlayerState, EntityState, BoatState, MinecartState, MountState, FeatureList, CollisionCache }
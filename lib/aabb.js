@@ -12,6 +12,20 @@ class AABB {
     return new AABB(this.minX, this.minY, this.minZ, this.maxX, this.maxY, this.maxZ)
   }
 
+  set (x0, y0, z0, x1, y1, z1) {
+    this.minX = x0
+    this.minY = y0
+    this.minZ = z0
+    this.maxX = x1
+    this.maxY = y1
+    this.maxZ = z1
+    return this
+  }
+
+  copy (other) {
+    return this.set(other.minX, other.minY, other.minZ, other.maxX, other.maxY, other.maxZ)
+  }
+
   floor () {
     this.minX = Math.floor(this.minX)
     this.minY = Math.floor(this.minY)
@@ -97,6 +111,36 @@ class AABB {
     return offsetZ
   }
 
+  // Intersect the segment from -> to with this box. Returns the fraction of the segment at which
+  // it enters the box and the face it enters through (0 = bottom, 1 = top, 2 = north, 3 = south,
+  // 4 = west, 5 = east), or null if it misses or starts inside.
+  clip (from, to) {
+    let tMin = 0
+    let tMax = 1
+    let face = -1
+    const axes = [
+      [from.x, to.x - from.x, this.minX, this.maxX, 4, 5],
+      [from.y, to.y - from.y, this.minY, this.maxY, 0, 1],
+      [from.z, to.z - from.z, this.minZ, this.maxZ, 2, 3]
+    ]
+    for (const [origin, delta, min, max, minFace, maxFace] of axes) {
+      if (delta === 0) {
+        if (origin <= min || origin >= max) return null
+        continue
+      }
+      const tNear = ((delta > 0 ? min : max) - origin) / delta
+      const tFar = ((delta > 0 ? max : min) - origin) / delta
+      if (tNear > tMin) {
+        tMin = tNear
+        face = delta > 0 ? minFace : maxFace
+      }
+      tMax = Math.min(tMax, tFar)
+      if (tMin > tMax) return null
+    }
+    if (face === -1) return null
+    return { t: tMin, face }
+  }
+
   intersects (other) {
     return this.minX < other.maxX && this.maxX > other.minX &&
            this.minY < other.maxY && this.maxY > other.minY &&
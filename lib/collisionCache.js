@@ -0,0 +1,102 @@
+const { Vec3 } = require('vec3')
+const AABB = require('./aabb')
+
+// Blocks of a world and their collision boxes, by block position. The boxes of each block state are computed once.
+// The cache only works with worlds telling it when their blocks change: worlds with getBlockStateId (like
+// prismarine-world) have the state id of a cached position checked on every read, which is cheaper than getBlock, and
+// the cache listens to the block updates and chunk loads of worlds emitting them to forget the changed blocks.
+// The blocks are kept by chunk column, under numeric keys. The returned entries are shared and should not be modified.
+class CollisionCache {
+  constructor (world) {
+    if (!CollisionCache.canTrack(world)) throw new Error('CollisionCache needs a world with getBlockStateId or emitting blockUpdate events')
+    this.world = world
+    this.checkStateIds = typeof world.getBlockStateId === 'function'
+    this.stateBoxes = new Map()
+    this.columns = new Map()
+    this.lastColumnKey = null
+    this.lastColumn = null
+    this.cursor = new Vec3(0, 0, 0)
+    this.listeners = {}
+    if (typeof world.on === 'function') {
+      this.listeners.blockUpdate = (oldBlock, newBlock) => this.invalidate((newBlock ?? oldBlock).position)
+      this.listeners.chunkColumnLoad = (pos) => this.invalidateColumn(pos.x >> 4, pos.z >> 4)
+      this.listeners.chunkColumnUnload = (pos) => this.invalidateColumn(pos.x >> 4, pos.z >> 4)
+      for (const [event, listener] of Object.entries(this.listeners)) world.on(event, listener)
+    }
+  }
+
+  // Whether the changes of the blocks of a world can be seen by a cache
+  static canTrack (world) {
+    return typeof world.getBlockStateId === 'function' || typeof world.on === 'function'
+  }
+
+  // Boxes of a block state, relative to the block position
+  getStateBoxes (block) {
+    let boxes = this.stateBoxes.get(block.stateId)
+    if (!boxes) {
+      boxes = block.shapes.map(shape => new AABB(shape[0], shape[1], shape[2], shape[3], shape[4], shape[5]))
+      this.stateBoxes.set(block.stateId, boxes)
+    }
+    return boxes
+  }
+
+  // Blocks of a chunk column, by index in the column
+  getColumn (chunkX, chunkZ, create) {
+    const key = (chunkX + 0x200000) * 0x400000 + chunkZ + 0x200000
+    if (key === this.lastColumnKey) return this.lastColumn
+    let column = this.columns.get(key)
+    if (!column) {
+      if (!create) return null
+      column = new Map()
+      this.columns.set(key, column)
+    }
+    this.lastColumnKey = key
+    this.lastColumn = column
+    return column
+  }
+
+  // { stateId, type, position, boxes, block } of the block at an integer position, or null if it is not loaded
+  getBlock (x, y, z) {
+    const column = this.getColumn(x >> 4, z >> 4, true)
+    const index = y * 256 + (z & 15) * 16 + (x & 15)
+    const entry = column.get(index)
+    if (entry && (!this.checkStateIds || entry.stateId === this.world.getBlockStateId(this.cursor.set(x, y, z)))) return entry
+    // a new position, the cached block keeps the one it was read with
+    const block = this.world.getBlock(new Vec3(x, y, z))
+    if (!block) {
+      column.delete(index)
+      return null
+    }
+    const position = block.position
+    const boxes = this.getStateBoxes(block).map(box => box.clone().offset(position.x, position.y, position.z))
+    const newEntry = { stateId: block.stateId, type: block.type, position, boxes, block }
+    column.set(index, newEntry)
+    return newEntry
+  }
+
+  invalidate (pos) {
+    const x = Math.floor(pos.x)
+    const z = Math.floor(pos.z)
+    const column = this.getColumn(x >> 4, z >> 4, false)
+    if (column) column.delete(Math.floor(pos.y) * 256 + (z & 15) * 16 + (x & 15))
+  }
+
+  invalidateColumn (chunkX, chunkZ) {
+    const column = this.getColumn(chunkX, chunkZ, false)
+    if (column) column.clear()
+  }
+
+  clear () {
+    this.columns.clear()
+    this.lastColumnKey = null
+    this.lastColumn = null
+  }
+
+  // Stop listening to the world
+  close () {
+    if (typeof this.world.removeListener !== 'function') return
+    for (const [event, listener] of Object.entries(this.listeners)) this.world.removeListener(event, listener)
+  }
+}
+
+module.exports = CollisionCache
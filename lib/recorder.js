@@ -0,0 +1,93 @@
+const fs = require('fs')
+const { PlayerState } = require('../index')
+
+// Record player movement to a JSON Lines file, with one line per simulated tick:
+//   { type: 'tick', tick, state, result } where state is the state before the tick (PlayerState.toJSON)
+//   and result the snapshot of the state after it
+// and one line per server-confirmed position:
+//   { type: 'server', tick, pos, vel } where vel is optional
+class MovementRecorder {
+  constructor (physics, file) {
+    this.physics = physics
+    this.fd = fs.openSync(file, 'w')
+    this.tick = 0
+  }
+
+  simulatePlayer (state, world) {
+    const before = state.toJSON()
+    this.physics.simulatePlayer(state, world)
+    this.tick++
+    this.write({ type: 'tick', tick: this.tick, state: before, result: state.snapshot() })
+    return state
+  }
+
+  // Position (and velocity) sent by the server for the last simulated tick
+  confirm (pos, vel) {
+    const entry = { type: 'server', tick: this.tick, pos: { x: pos.x, y: pos.y, z: pos.z } }
+    if (vel) entry.vel = { x: vel.x, y: vel.y, z: vel.z }
+    this.write(entry)
+  }
+
+  write (entry) {
+    fs.writeSync(this.fd, JSON.stringify(entry) + '\n')
+  }
+
+  close () {
+    fs.closeSync(this.fd)
+  }
+}
+
+function readRecording (file) {
+  return fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line))
+}
+
+function compareField (field, expected, actual, tolerance) {
+  if (typeof expected === 'number') {
+    return Math.abs(expected - actual) <= tolerance ? null : { field, expected, actual }
+  }
+  if (expected !== null && typeof expected === 'object') {
+    if (actual === null || typeof actual !== 'object') return { field, expected, actual }
+    for (const key of Object.keys(expected)) {
+      const divergence = compareField(`${field}.${key}`, expected[key], actual[key], tolerance)
+      if (divergence) return divergence
+    }
+    return null
+  }
+  return expected === actual ? null : { field, expected, actual }
+}
+
+// Re-simulate every tick of a recording (a file or its entries) from the state recorded before it, and compare
+// the result with the server-confirmed position of the tick if there is one, or else with the recorded result.
+// Returns the first divergence { tick, field, expected, actual, branch, recordedBranch }, or null.
+function replayMovement (physics, recording, world, options = {}) {
+  const entries = typeof recording === 'string' ? readRecording(recording) : recording
+  const tolerance = options.tolerance ?? 1e-6
+
+  const serverEntries = new Map()
+  for (const entry of entries) {
+    if (entry.type === 'server') serverEntries.set(entry.tick, entry)
+  }
+
+  for (const entry of entries) {
+    if (entry.type !== 'tick') continue
+    const state = PlayerState.fromJSON(entry.state)
+    physics.simulatePlayer(state, world)
+
+    const { movementBranch, ...expected } = entry.result
+    const server = serverEntries.get(entry.tick)
+    if (server) {
+      expected.pos = server.pos
+      if (server.vel) expected.vel = server.vel
+    }
+    const actual = state.snapshot()
+    for (const field of Object.keys(expected)) {
+      const divergence = compareField(field, expected[field], actual[field], tolerance)
+      if (divergence) {
+        return { tick: entry.tick, ...divergence, branch: state.movementBranch, recordedBranch: movementBranch }
+      }
+    }
+  }
+  return null
+}
+
+module.exports = { MovementRecorder, readRecording, replayMovement }
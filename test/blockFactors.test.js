@@ -0,0 +1,147 @@
+/* eslint-env mocha */
+
+const { Physics, PlayerState } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+const nbt = require('prismarine-nbt')
+
+const version = '1.20.4'
+const mcData = require('minecraft-data')(version)
+const Block = require('prismarine-block')(version)
+
+// A floor of the given block at y = 59, stone below and air above
+function makeWorld (ground) {
+  return {
+    getBlock: (pos) => {
+      const [x, y, z] = [Math.floor(pos.x), Math.floor(pos.y), Math.floor(pos.z)]
+      const type = y < 59 ? 'stone' : y < 60 ? ground : 'air'
+      const b = new Block(mcData.blocksByName[type].id, 0, 0)
+      b.position = new Vec3(x, y, z)
+      return b
+    }
+  }
+}
+
+function fakePlayer (pos, boots) {
+  return {
+    entity: {
+      position: pos,
+      velocity: new Vec3(0, 0, 0),
+      onGround: true,
+      isInWater: false,
+      isInLava: false,
+      isInWeb: false,
+      isCollidedHorizontally: false,
+      isCollidedVertically: false,
+      elytraFlying: false,
+      yaw: 0,
+      pitch: 0,
+      effects: {}
+    },
+    jumpTicks: 0,
+    jumpQueued: false,
+    fireworkRocketDuration: 0,
+    version,
+    inventory: {
+      slots: boots ? { 8: boots } : []
+    }
+  }
+}
+
+function soulSpeedBoots (level) {
+  return {
+    name: 'diamond_boots',
+    nbt: nbt.comp({
+      Enchantments: nbt.list(nbt.comp([{ id: nbt.string('minecraft:soul_speed'), lvl: nbt.short(level) }]))
+    })
+  }
+}
+
+const controls = {
+  forward: false,
+  back: false,
+  left: false,
+  right: false,
+  jump: false,
+  sprint: false,
+  sneak: false
+}
+
+// Standing on the floor of the given block, the height of its top depends on the block
+function createState (ground, boots) {
+  const world = makeWorld(ground)
+  const physics = Physics(mcData, world)
+  const state = new PlayerState(fakePlayer(new Vec3(0.5, 61, 0.5), boots), controls)
+  for (let i = 0; i < 20; i++) physics.simulatePlayer(state, world)
+  return { physics, world, state }
+}
+
+function walkDistance (ground, boots) {
+  const { physics, world, state } = createState(ground, boots)
+  state.control = { ...controls, forward: true }
+  for (let i = 0; i < 40; i++) physics.simulatePlayer(state, world)
+  return 0.5 - state.pos.z
+}
+
+function jumpHeight (ground) {
+  const { physics, world, state } = createState(ground)
+  const startY = state.pos.y
+  state.control = { ...controls, jump: true }
+  let maxY = startY
+  for (let i = 0; i < 12; i++) {
+    physics.simulatePlayer(state, world)
+    maxY = Math.max(maxY, state.pos.y)
+  }
+  return maxY - startY
+}
+
+describe('Block speed and jump factors', () => {
+  it('soul sand and honey blocks slow down the player walking on them', () => {
+    const stone = walkDistance('stone')
+    expect(walkDistance('soul_sand')).toBeLessThan(stone * 0.6)
+    expect(walkDistance('honey_block')).toBeLessThan(stone * 0.6)
+    expect(walkDistance('soul_soil')).toBeCloseTo(stone)
+  })
+
+  it('walks on soul sand at the speed of the 0.4 factor applied after each move', () => {
+    // Entity.move multiplies the velocity by the factor of the soul sand, then travel by the 0.546 friction of the
+    // stone under it: the distance per tick converges to 0.098 / (1 - 0.4 * 0.546)
+    const { physics, world, state } = createState('soul_sand')
+    state.control = { ...controls, forward: true }
+    for (let i = 0; i < 40; i++) physics.simulatePlayer(state, world)
+    const lastZ = state.pos.z
+    physics.simulatePlayer(state, world)
+    expect(lastZ - state.pos.z).toBeCloseTo(0.098 / (1 - 0.4 * 0.546), 4)
+  })
+
+  it('honey blocks halve the jump speed', () => {
+    expect(jumpHeight('stone')).toBeGreaterThan(1.2)
+    expect(jumpHeight('honey_block')).toBeLessThan(0.4)
+  })
+
+  it('reads the Soul Speed level of the boots', () => {
+    const { state } = createState('stone', soulSpeedBoots(2))
+    expect(state.soulSpeed).toEqual(2)
+    expect(createState('stone').state.soulSpeed).toEqual(0)
+  })
+
+  it('Soul Speed makes the player faster on soul sand and soul soil', () => {
+    const stone = walkDistance('stone')
+    expect(walkDistance('soul_sand', soulSpeedBoots(3))).toBeGreaterThan(stone * 1.5)
+    expect(walkDistance('soul_soil', soulSpeedBoots(3))).toBeGreaterThan(stone * 1.5)
+    expect(walkDistance('soul_sand', soulSpeedBoots(1))).toBeLessThan(walkDistance('soul_sand', soulSpeedBoots(3)))
+    expect(walkDistance('stone', soulSpeedBoots(3))).toBeCloseTo(stone)
+  })
+
+  it('Soul Speed cancels the speed factor of honey blocks too', () => {
+    expect(walkDistance('honey_block', soulSpeedBoots(1))).toBeCloseTo(walkDistance('stone'))
+  })
+
+  it('blocks can be given their own factors', () => {
+    const { physics, world, state } = createState('stone')
+    physics.blockJumpFactors[mcData.blocksByName.stone.id] = 0
+    state.control = { ...controls, jump: true }
+    physics.simulatePlayer(state, world)
+    expect(state.pos.y).toEqual(60)
+  })
+})
@@ -0,0 +1,102 @@
+/* eslint-env mocha */
+
+const { Physics, BoatState } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+
+const mcData = require('minecraft-data')('1.13.2')
+const Block = require('prismarine-block')('1.13.2')
+
+function makeWorld (blockAt) {
+  return {
+    getBlock: (pos) => {
+      const b = new Block(mcData.blocksByName[blockAt(pos)].id, 0, 0)
+      b.position = pos.clone()
+      return b
+    }
+  }
+}
+
+const stoneWorld = makeWorld((pos) => pos.y < 60 ? 'stone' : 'air')
+const iceWorld = makeWorld((pos) => pos.y < 59 ? 'stone' : pos.y < 60 ? 'ice' : 'air')
+const blueIceWorld = makeWorld((pos) => pos.y < 59 ? 'stone' : pos.y < 60 ? 'blue_ice' : 'air')
+const waterWorld = makeWorld((pos) => pos.y < 55 ? 'stone' : pos.y < 60 ? 'water' : 'air')
+const ledgeWorld = makeWorld((pos) => (pos.y < 50 || (pos.y < 60 && pos.z > -5)) ? 'stone' : 'air')
+
+const controls = {
+  forward: false,
+  back: false,
+  left: false,
+  right: false,
+  jump: false,
+  sprint: false,
+  sneak: false
+}
+
+function fakeBoat (pos) {
+  return {
+    name: 'boat',
+    position: pos,
+    velocity: new Vec3(0, 0, 0),
+    onGround: false,
+    yaw: 0 // north (-z)
+  }
+}
+
+function passTicks (ticks, physics, state, world) {
+  for (let i = 0; i < ticks; i++) {
+    physics.simulateBoat(state, world)
+  }
+}
+
+describe('Boat tests', () => {
+  it('floats at the water surface', () => {
+    const physics = Physics(mcData, waterWorld)
+    const state = new BoatState(fakeBoat(new Vec3(0.5, 62, 0.5)), controls)
+    passTicks(200, physics, state, waterWorld)
+    expect(state.status).toEqual('inWater')
+    expect(state.pos.y).toBeGreaterThan(59)
+    expect(state.pos.y).toBeLessThan(60)
+    expect(Math.abs(state.vel.y)).toBeLessThan(0.01)
+  })
+
+  it('snaps onto the water surface when falling into water', () => {
+    const physics = Physics(mcData, waterWorld)
+    const state = new BoatState(fakeBoat(new Vec3(0.5, 70, 0.5)), controls)
+    physics.simulateBoat(state, waterWorld)
+    expect(state.lastVelY).toEqual(state.vel.y)
+    while (state.status !== 'inWater') physics.simulateBoat(state, waterWorld)
+    // The water is searched from the top of the boat up to where it was the tick before
+    expect(state.pos.y).toBeCloseTo(60 - physics.boatHeight + 0.101)
+    expect(state.vel.y).toEqual(0)
+  })
+
+  it('is faster on ice and blue ice', () => {
+    const physics = Physics(mcData, stoneWorld)
+    const distances = [stoneWorld, iceWorld, blueIceWorld].map((world) => {
+      const state = new BoatState(fakeBoat(new Vec3(0.5, 60, 0.5)), { ...controls, forward: true })
+      passTicks(100, physics, state, world)
+      expect(state.status).toEqual('onLand')
+      expect(state.pos.y).toEqual(60)
+      return -state.pos.z
+    })
+    expect(distances[1]).toBeGreaterThan(distances[0] * 10)
+    expect(distances[2]).toBeGreaterThan(distances[1])
+  })
+
+  it('turns left', () => {
+    const physics = Physics(mcData, waterWorld)
+    const state = new BoatState(fakeBoat(new Vec3(0.5, 62, 0.5)), { ...controls, left: true })
+    passTicks(10, physics, state, waterWorld)
+    expect(state.yaw).toBeGreaterThan(0)
+    expect(state.pos.x).toBeLessThan(0.5)
+  })
+
+  it('falls off a ledge', () => {
+    const physics = Physics(mcData, ledgeWorld)
+    const state = new BoatState(fakeBoat(new Vec3(0.5, 60, 0.5)), { ...controls, forward: true })
+    passTicks(200, physics, state, ledgeWorld)
+    expect(state.pos.z).toBeLessThan(-5)
+    expect(state.pos.y).toEqual(50)
+  })
+})
@@ -0,0 +1,91 @@
+/* eslint-env mocha */
+
+const { Physics, PlayerState } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+
+const version = '1.20.4'
+const mcData = require('minecraft-data')(version)
+const Block = require('prismarine-block')(version)
+
+// A column of the given block at x = 0, z = 0 from y = 60 to 69, on stone
+function makeWorld (name) {
+  return {
+    getBlock: (pos) => {
+      const [x, y, z] = [Math.floor(pos.x), Math.floor(pos.y), Math.floor(pos.z)]
+      const type = y < 60 ? 'stone' : x === 0 && z === 0 && y < 70 ? name : 'air'
+      const b = new Block(mcData.blocksByName[type].id, 0, 0)
+      b.position = new Vec3(x, y, z)
+      return b
+    }
+  }
+}
+
+function fakePlayer (pos) {
+  return {
+    entity: {
+      position: pos,
+      velocity: new Vec3(0, 0, 0),
+      onGround: true,
+      isInWater: false,
+      isInLava: false,
+      isInWeb: false,
+      isCollidedHorizontally: false,
+      isCollidedVertically: false,
+      elytraFlying: false,
+      yaw: 0,
+      pitch: 0,
+      effects: {}
+    },
+    jumpTicks: 0,
+    jumpQueued: false,
+    fireworkRocketDuration: 0,
+    version,
+    inventory: {
+      slots: []
+    }
+  }
+}
+
+const jumping = {
+  forward: false,
+  back: false,
+  left: false,
+  right: false,
+  jump: true,
+  sprint: false,
+  sneak: false
+}
+
+// Height reached after jumping for 40 ticks in the column
+function climb (physics, world) {
+  const state = new PlayerState(fakePlayer(new Vec3(0.5, 60, 0.5)), jumping)
+  for (let i = 0; i < 40; i++) physics.simulatePlayer(state, world)
+  return state.pos.y
+}
+
+describe('Climbable blocks tests', () => {
+  for (const name of ['twisting_vines', 'twisting_vines_plant', 'weeping_vines', 'weeping_vines_plant', 'cave_vines', 'cave_vines_plant']) {
+    it(`${name} can be climbed`, () => {
+      const world = makeWorld(name)
+      const physics = Physics(mcData, world)
+      expect(physics.climbableBlockIds.has(mcData.blocksByName[name].id)).toBeTruthy()
+      expect(climb(physics, world)).toBeGreaterThan(65)
+    })
+  }
+
+  it('only has the blocks existing in the version', () => {
+    const mcData = require('minecraft-data')('1.15.2')
+    const physics = Physics(mcData, makeWorld('air'))
+    const names = [...physics.climbableBlockIds].map(id => mcData.blocks[id].name).sort()
+    expect(names).toEqual(['ladder', 'scaffolding', 'vine'])
+  })
+
+  it('blocks can be added to the climbable ones', () => {
+    const world = makeWorld('short_grass')
+    const physics = Physics(mcData, world)
+    expect(climb(physics, world)).toBeLessThan(62)
+    physics.climbableBlockIds.add(mcData.blocksByName.short_grass.id)
+    expect(climb(physics, world)).toBeGreaterThan(65)
+  })
+})
@@ -0,0 +1,196 @@
+/* eslint-env mocha */
+
+const { Physics, PlayerState, CollisionCache } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const { EventEmitter } = require('events')
+const expect = require('expect')
+
+const mcData = require('minecraft-data')('1.13.2')
+const Block = require('prismarine-block')('1.13.2')
+
+// Stone floor below y = 60 and the blocks set with setBlock, emitting blockUpdate and reading state ids like
+// prismarine-world
+function makeWorld () {
+  const world = new EventEmitter()
+  const blocks = new Map()
+  const blockAt = (pos) => {
+    const p = pos.floored()
+    const type = blocks.get(p.toString()) ?? (p.y < 60 ? mcData.blocksByName.stone.id : mcData.blocksByName.air.id)
+    const b = new Block(type, 0, 0)
+    b.position = p
+    return b
+  }
+  world.getBlockCalls = 0
+  world.getBlock = (pos) => {
+    world.getBlockCalls++
+    return blockAt(pos)
+  }
+  world.getBlockStateId = (pos) => blockAt(pos).stateId
+  world.setBlock = (pos, type) => {
+    const oldBlock = world.getBlock(pos)
+    blocks.set(pos.toString(), type)
+    world.emit('blockUpdate', oldBlock, world.getBlock(pos))
+  }
+  return world
+}
+
+const controls = {
+  forward: true,
+  back: false,
+  left: false,
+  right: false,
+  jump: false,
+  sprint: true,
+  sneak: false
+}
+
+function walkingState () {
+  return PlayerState.create(mcData, {
+    pos: { x: 0.5, y: 60, z: 0.5 },
+    vel: { x: 0, y: 0, z: 0 },
+    onGround: true,
+    yaw: 0,
+    pitch: 0,
+    control: controls,
+    jumpBoost: 0,
+    speed: 0,
+    slowness: 0,
+    dolphinsGrace: 0,
+    slowFalling: 0,
+    levitation: 0,
+    depthStrider: 0,
+    featherFalling: 0,
+    soulSpeed: 0,
+    elytraEquipped: false,
+    leatherBootsEquipped: false
+  })
+}
+
+describe('Collision cache tests', () => {
+  it('looks up each block once', () => {
+    const world = makeWorld()
+    const cache = new CollisionCache(world)
+    const first = cache.getBlock(0, 59, 0)
+    expect(cache.getBlock(0, 59, 0)).toBe(first)
+    expect(world.getBlockCalls).toEqual(1)
+    expect(first.boxes.length).toEqual(1)
+    expect(first.boxes[0].minY).toEqual(59)
+    expect(cache.getBlock(1, 59, 0).stateId).toEqual(first.stateId)
+    expect(cache.stateBoxes.size).toEqual(1)
+  })
+
+  it('simulates like without a cache', () => {
+    const world = makeWorld()
+    world.setBlock(new Vec3(0, 60, -5), mcData.blocksByName.stone.id)
+    const cached = Physics(mcData, world, { collisionCache: true })
+    const uncached = Physics(mcData, world)
+    const a = walkingState()
+    const b = walkingState()
+    for (let i = 0; i < 30; i++) {
+      cached.simulatePlayer(a, world)
+      uncached.simulatePlayer(b, world)
+    }
+    expect(a.pos).toEqual(b.pos)
+    expect(a.pos.z).toBeCloseTo(-3.7, 5)
+  })
+
+  it('is invalidated by block updates', () => {
+    const world = makeWorld()
+    const physics = Physics(mcData, world, { collisionCache: true })
+    const state = walkingState()
+    for (let i = 0; i < 5; i++) physics.simulatePlayer(state, world)
+    world.setBlock(new Vec3(0, 60, -2), mcData.blocksByName.stone.id)
+    world.setBlock(new Vec3(0, 61, -2), mcData.blocksByName.stone.id)
+    for (let i = 0; i < 20; i++) physics.simulatePlayer(state, world)
+    expect(state.pos.z).toBeCloseTo(-0.7, 5)
+    physics.collisionCache.close()
+    expect(world.listenerCount('blockUpdate')).toEqual(0)
+  })
+
+  it('reads the blocks again when their state changed without an event', () => {
+    const blocks = new Map()
+    const world = {
+      getBlock: (pos) => {
+        const b = new Block(world.getBlockStateId(pos), 0, 0)
+        b.position = pos.clone()
+        return b
+      },
+      getBlockStateId: (pos) => blocks.get(pos.toString()) ?? mcData.blocksByName.air.id
+    }
+    const cache = new CollisionCache(world)
+    expect(cache.getBlock(0, 60, 0).boxes).toEqual([])
+    blocks.set(new Vec3(0, 60, 0).toString(), mcData.blocksByName.stone.id)
+    expect(cache.getBlock(0, 60, 0).boxes.length).toEqual(1)
+
+    const eventWorld = makeWorld()
+    const eventCache = new CollisionCache(eventWorld)
+    expect(eventCache.getBlock(0, 60, 0).boxes).toEqual([])
+    eventCache.close()
+    eventWorld.setBlock(new Vec3(0, 60, 0), mcData.blocksByName.stone.id)
+    expect(eventCache.getBlock(0, 60, 0).boxes.length).toEqual(1)
+  })
+
+  it('can be shared by several instances', () => {
+    const world = makeWorld()
+    const collisionCache = new CollisionCache(world)
+    const a = Physics(mcData, world, { collisionCache })
+    const b = Physics(mcData, world, { collisionCache })
+    expect(a.collisionCache).toBe(b.collisionCache)
+    a.simulatePlayer(walkingState(), world)
+    const calls = world.getBlockCalls
+    expect(calls).toBeGreaterThan(0)
+    b.simulatePlayer(walkingState(), world)
+    expect(world.getBlockCalls).toEqual(calls)
+  })
+
+  it('trusts the cached blocks of worlds emitting events', () => {
+    const world = makeWorld()
+    delete world.getBlockStateId
+    const cache = new CollisionCache(world)
+    expect(cache.getBlock(0, 60, 0).boxes).toEqual([])
+    expect(cache.getBlock(0, 60, 0).boxes).toEqual([])
+    expect(world.getBlockCalls).toEqual(1)
+    world.setBlock(new Vec3(0, 60, 0), mcData.blocksByName.stone.id)
+    expect(cache.getBlock(0, 60, 0).boxes.length).toEqual(1)
+    world.emit('chunkColumnLoad', new Vec3(0, 0, 0))
+    const calls = world.getBlockCalls
+    cache.getBlock(0, 60, 0)
+    expect(world.getBlockCalls).toEqual(calls + 1)
+  })
+
+  it('is not used with worlds that cannot tell it about their changes', () => {
+    const world = { getBlock: makeWorld().getBlock }
+    expect(() => new CollisionCache(world)).toThrow()
+    expect(() => Physics(mcData, world, { collisionCache: true })).toThrow()
+    const physics = Physics(mcData, world)
+    const state = walkingState()
+    const { snapshots } = physics.rollout(state, controls, 5, world)
+    for (let i = 0; i < 5; i++) physics.simulatePlayer(state, world)
+    expect(snapshots[4].pos).toEqual({ x: state.pos.x, y: state.pos.y, z: state.pos.z })
+  })
+
+  it('reads every block of a tick from the cache', () => {
+    const world = makeWorld()
+    world.setBlock(new Vec3(0, 59, -1), mcData.blocksByName.water.id)
+    const physics = Physics(mcData, world, { collisionCache: true })
+    const first = walkingState()
+    for (let i = 0; i < 20; i++) physics.simulatePlayer(first, world)
+    const calls = world.getBlockCalls
+    const state = walkingState()
+    for (let i = 0; i < 20; i++) physics.simulatePlayer(state, world)
+    expect(world.getBlockCalls).toEqual(calls)
+  })
+
+  it('is used during rollouts without changing their result', () => {
+    const world = makeWorld()
+    const physics = Physics(mcData, world)
+    const state = walkingState()
+    const calls = world.getBlockCalls
+    const { snapshots } = physics.rollout(state, controls, 20, world)
+    const rolloutCalls = world.getBlockCalls - calls
+    for (let i = 0; i < 20; i++) physics.simulatePlayer(state, world)
+    expect(snapshots[19].pos).toEqual({ x: state.pos.x, y: state.pos.y, z: state.pos.z })
+    expect(rolloutCalls).toBeLessThan(world.getBlockCalls - calls - rolloutCalls)
+    expect(physics.collisionCache).toBeNull()
+  })
+})
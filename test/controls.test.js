@@ -0,0 +1,102 @@
+/* eslint-env mocha */
+
+const { Physics, PlayerState } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+
+const mcData = require('minecraft-data')('1.13.2')
+const Block = require('prismarine-block')('1.13.2')
+
+const fakeWorld = {
+  getBlock: (pos) => {
+    const type = (pos.y < 60) ? mcData.blocksByName.stone.id : mcData.blocksByName.air.id
+    const b = new Block(type, 0, 0)
+    b.position = pos.clone()
+    return b
+  }
+}
+
+const controls = {
+  forward: false,
+  back: false,
+  left: false,
+  right: false,
+  jump: false,
+  sprint: false,
+  sneak: false
+}
+
+function standingState () {
+  return PlayerState.create(mcData, {
+    pos: { x: 0.5, y: 60, z: 0.5 },
+    vel: { x: 0, y: 0, z: 0 },
+    onGround: true,
+    yaw: 0,
+    pitch: 0,
+    control: controls,
+    jumpBoost: 0,
+    speed: 0,
+    slowness: 0,
+    dolphinsGrace: 0,
+    slowFalling: 0,
+    levitation: 0,
+    depthStrider: 0,
+    featherFalling: 0,
+    soulSpeed: 0,
+    elytraEquipped: false,
+    leatherBootsEquipped: false
+  })
+}
+
+// Replay the inputs with simulatePlayer
+function execute (physics, state, inputs) {
+  for (const input of inputs) {
+    state.control = input.control
+    state.yaw = input.yaw
+    physics.simulatePlayer(state, fakeWorld)
+  }
+  return state
+}
+
+describe('Control search tests', () => {
+  it('finds inputs reaching the target', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const state = standingState()
+    const target = new Vec3(1.7, 60, -2.3)
+    const result = physics.findControls(state, target, 20, fakeWorld)
+    expect(result).not.toBeNull()
+    expect(state.pos).toEqual(new Vec3(0.5, 60, 0.5))
+    const end = execute(physics, standingState(), result.inputs)
+    expect(end.pos).toEqual(result.state.pos)
+    expect(end.pos.distanceTo(target)).toBeLessThanOrEqual(0.05)
+  })
+
+  it('stops on the target', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const target = new Vec3(0.5, 60, -1.5)
+    const result = physics.findControls(standingState(), target, 30, fakeWorld, { tolerance: 0.02, maxEndSpeed: 0.01 })
+    expect(result).not.toBeNull()
+    expect(result.state.pos.distanceTo(target)).toBeLessThanOrEqual(0.02)
+    expect(Math.abs(result.state.vel.z)).toBeLessThanOrEqual(0.01)
+  })
+
+  it('only uses the allowed controls', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const result = physics.findControls(standingState(), new Vec3(0.5, 60, -3.5), 30, fakeWorld, { allowSprint: false, allowJump: false })
+    expect(result).not.toBeNull()
+    expect(result.inputs.some(input => input.control.sprint || input.control.jump)).toBeFalsy()
+  })
+
+  it('uses the cost function', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const result = physics.findControls(standingState(), new Vec3(0.5, 60, -0.5), 30, fakeWorld, { cost: (previous, control) => control.sneak ? 0 : 10 })
+    expect(result).not.toBeNull()
+    expect(result.inputs.every(input => input.control.sneak)).toBeTruthy()
+    expect(result.cost).toEqual(0)
+  })
+
+  it('returns null when the target is out of reach', () => {
+    const physics = Physics(mcData, fakeWorld)
+    expect(physics.findControls(standingState(), new Vec3(0.5, 60, -9.5), 10, fakeWorld, { beamWidth: 4 })).toBeNull()
+  })
+})
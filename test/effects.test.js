@@ -0,0 +1,115 @@
+/* eslint-env mocha */
+
+const { Physics, PlayerState } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+
+const mcData = require('minecraft-data')('1.13.2')
+const Block = require('prismarine-block')('1.13.2')
+
+const fakeWorld = {
+  getBlock: (pos) => {
+    const type = (pos.y < 60) ? mcData.blocksByName.stone.id : mcData.blocksByName.air.id
+    const b = new Block(type, 0, 0)
+    b.position = pos.clone()
+    return b
+  }
+}
+
+function fakePlayer (pos, effects) {
+  return {
+    entity: {
+      position: pos,
+      velocity: new Vec3(0, 0, 0),
+      onGround: true,
+      isInWater: false,
+      isInLava: false,
+      isInWeb: false,
+      isCollidedHorizontally: false,
+      isCollidedVertically: false,
+      elytraFlying: false,
+      yaw: 0,
+      pitch: 0,
+      effects
+    },
+    jumpTicks: 0,
+    jumpQueued: false,
+    fireworkRocketDuration: 0,
+    version: '1.13.2',
+    inventory: {
+      slots: []
+    }
+  }
+}
+
+const controls = {
+  forward: true,
+  back: false,
+  left: false,
+  right: false,
+  jump: false,
+  sprint: false,
+  sneak: false
+}
+
+function walkSpeed (physics, player) {
+  const state = new PlayerState(player, controls)
+  for (let i = 0; i < 50; i++) {
+    physics.simulatePlayer(state, fakeWorld)
+  }
+  return -state.vel.z
+}
+
+describe('Effects tests', () => {
+  const speedId = mcData.effectsByName.Speed.id
+  const slownessId = mcData.effectsByName.Slowness.id
+
+  it('Speed and Slowness change the walking speed', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const normal = walkSpeed(physics, fakePlayer(new Vec3(0.5, 60, 0.5), {}))
+    const speed = walkSpeed(physics, fakePlayer(new Vec3(0.5, 60, 0.5), { [speedId]: { amplifier: 1 } }))
+    const slowness = walkSpeed(physics, fakePlayer(new Vec3(0.5, 60, 0.5), { [slownessId]: { amplifier: 0 } }))
+    expect(speed / normal).toBeCloseTo(1.4)
+    expect(slowness / normal).toBeCloseTo(0.85)
+  })
+
+  it('does not apply effect modifiers already sent by the server', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const player = fakePlayer(new Vec3(0.5, 60, 0.5), { [speedId]: { amplifier: 1 } })
+    const modifiers = [{ uuid: physics.speedEffectUUID, amount: 0.4, operation: 2 }]
+    player.entity.attributes = {
+      [physics.movementSpeedAttribute]: { value: 0.1, modifiers }
+    }
+    const normal = walkSpeed(physics, fakePlayer(new Vec3(0.5, 60, 0.5), {}))
+    expect(walkSpeed(physics, player) / normal).toBeCloseTo(1.4)
+    expect(player.entity.attributes[physics.movementSpeedAttribute].modifiers).toEqual(modifiers)
+  })
+
+  it('recognizes the modifiers sent by the server by their namespaced id since 1.21', () => {
+    const version = '1.21.1'
+    const mcData = require('minecraft-data')(version)
+    const Block = require('prismarine-block')(version)
+    const world = {
+      getBlock: (pos) => {
+        const b = new Block(mcData.blocksByName[pos.y < 60 ? 'stone' : 'air'].id, 0, 0)
+        b.position = pos.clone()
+        return b
+      }
+    }
+    const physics = Physics(mcData, world)
+    const walk = (effects, modifiers) => {
+      const player = fakePlayer(new Vec3(0.5, 60, 0.5), effects)
+      player.version = version
+      player.entity.attributes = { [physics.movementSpeedAttribute]: { value: 0.1, modifiers } }
+      const state = new PlayerState(player, { ...controls, sprint: true })
+      for (let i = 0; i < 50; i++) physics.simulatePlayer(state, world)
+      return -state.vel.z
+    }
+    const normal = walk({}, [])
+    const modifiers = [
+      { uuid: 'minecraft:effect.speed', amount: 0.4, operation: 2 },
+      { uuid: 'minecraft:sprinting', amount: 0.3, operation: 2 }
+    ]
+    expect(walk({ [mcData.effectsByName.Speed.id]: { amplifier: 1 } }, modifiers) / normal).toBeCloseTo(1.4)
+  })
+})
@@ -0,0 +1,119 @@
+/* eslint-env mocha */
+
+const { Physics, EntityState } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+
+const mcData = require('minecraft-data')('1.13.2')
+const Block = require('prismarine-block')('1.13.2')
+
+function makeWorld (groundName) {
+  return {
+    getBlock: (pos) => {
+      const type = (pos.y < 60) ? mcData.blocksByName[groundName].id : mcData.blocksByName.air.id
+      const b = new Block(type, 0, 0)
+      b.position = pos
+      return b
+    }
+  }
+}
+
+const fakeWorld = makeWorld('stone')
+const iceWorld = makeWorld('ice')
+
+function fakeEntity (name, pos, vel) {
+  return {
+    name,
+    position: pos,
+    velocity: vel || new Vec3(0, 0, 0),
+    onGround: false
+  }
+}
+
+function untilIdle (entity, physics, world) {
+  const entityState = new EntityState(entity)
+  let ticks = 0
+  while (!entityState.onGround || entityState.vel.x !== 0 || entityState.vel.z !== 0) {
+    physics.simulateEntity(entityState, world)
+    ticks++
+  }
+  entityState.apply(entity)
+  return ticks
+}
+
+describe('Entity tests', () => {
+  it('drops an item onto the ground', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const item = fakeEntity('item', new Vec3(0.5, 80, 0.5))
+    untilIdle(item, physics, fakeWorld)
+    expect(item.position).toEqual(new Vec3(0.5, 60, 0.5))
+  })
+
+  it('uses the minecraft-data hitbox', () => {
+    // Ceiling at y = 62
+    const world = {
+      getBlock: (pos) => {
+        const b = new Block(mcData.blocksByName[pos.y < 60 || pos.y >= 62 ? 'stone' : 'air'].id, 0, 0)
+        b.position = pos
+        return b
+      }
+    }
+    const physics = Physics(mcData, world)
+    const entity = fakeEntity('zombie', new Vec3(0.5, 60, 0.5), new Vec3(0, 0.5, 0))
+    const state = new EntityState(entity)
+    physics.simulateEntity(state, world)
+    expect(state.pos.y).toBeCloseTo(62 - 1.95)
+    // The hitbox is not written to the state or the entity
+    expect(state.width).toBeUndefined()
+    expect(entity.width).toBeUndefined()
+  })
+
+  it('slides further on ice', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const stoneItem = fakeEntity('item', new Vec3(0, 60, 0), new Vec3(0.3, 0, 0))
+    const iceItem = fakeEntity('item', new Vec3(0, 60, 0), new Vec3(0.3, 0, 0))
+    untilIdle(stoneItem, physics, fakeWorld)
+    untilIdle(iceItem, physics, iceWorld)
+    expect(stoneItem.position.x).toBeGreaterThan(0)
+    expect(iceItem.position.x).toBeGreaterThan(stoneItem.position.x * 5)
+  })
+
+  it('primed tnt and mobs fall at different rates', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const tnt = new EntityState(fakeEntity('tnt', new Vec3(0, 80, 0)))
+    const pig = new EntityState(fakeEntity('pig', new Vec3(0, 80, 0)))
+    for (let i = 0; i < 10; i++) {
+      physics.simulateEntity(tnt, fakeWorld)
+      physics.simulateEntity(pig, fakeWorld)
+    }
+    expect(pig.pos.y).toBeLessThan(tnt.pos.y)
+    expect(tnt.vel.y).toBeCloseTo(-0.04 * (1 - Math.pow(0.98, 10)) / (1 - 0.98) * 0.98)
+  })
+
+  it('only bounces entities that were falling', () => {
+    // Slime floor below y = 60, stone ceiling from y = 61
+    const world = {
+      getBlock: (pos) => {
+        const name = pos.y < 60 ? 'slime_block' : pos.y >= 61 ? 'stone' : 'air'
+        const b = new Block(mcData.blocksByName[name].id, 0, 0)
+        b.position = pos
+        return b
+      }
+    }
+    const physics = Physics(mcData, world)
+    const falling = new EntityState(fakeEntity('item', new Vec3(0.5, 60.2, 0.5), new Vec3(0, -0.5, 0)))
+    physics.simulateEntity(falling, world)
+    expect(falling.vel.y).toBeGreaterThan(0)
+    const rising = new EntityState(fakeEntity('item', new Vec3(0.5, 60, 0.5), new Vec3(0, 1, 0)))
+    physics.simulateEntity(rising, world)
+    expect(rising.pos.y).toBeCloseTo(61 - 0.25)
+    expect(rising.vel.y).toBeLessThanOrEqual(0)
+    expect(rising.vel.y).toBeGreaterThan(-0.1)
+  })
+
+  it('throws on entities without a hitbox', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const state = new EntityState(fakeEntity('not_an_entity', new Vec3(0, 80, 0)))
+    expect(() => physics.simulateEntity(state, fakeWorld)).toThrow()
+  })
+})
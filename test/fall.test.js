@@ -0,0 +1,117 @@
+/* eslint-env mocha */
+
+const { Physics, PlayerState } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+
+// Ground of the given block at y = 59, stone below and air above
+function makeWorld (version, ground) {
+  const mcData = require('minecraft-data')(version)
+  const Block = require('prismarine-block')(version)
+  return {
+    getBlock: (pos) => {
+      const type = pos.y < 59 ? 'stone' : pos.y < 60 ? ground : 'air'
+      const b = new Block(mcData.blocksByName[type].id, 0, 0)
+      b.position = pos.clone()
+      return b
+    }
+  }
+}
+
+function fakePlayer (pos, version) {
+  return {
+    entity: {
+      position: pos,
+      velocity: new Vec3(0, 0, 0),
+      onGround: false,
+      isInWater: false,
+      isInLava: false,
+      isInWeb: false,
+      isCollidedHorizontally: false,
+      isCollidedVertically: false,
+      elytraFlying: false,
+      yaw: 0,
+      pitch: 0,
+      effects: {}
+    },
+    jumpTicks: 0,
+    jumpQueued: false,
+    fireworkRocketDuration: 0,
+    version,
+    inventory: {
+      slots: []
+    }
+  }
+}
+
+const controls = {
+  forward: false,
+  back: false,
+  left: false,
+  right: false,
+  jump: false,
+  sprint: false,
+  sneak: false
+}
+
+// Drop the player from 10 blocks above the ground and return the landing damage
+function fall (version, ground, setup = () => {}) {
+  const mcData = require('minecraft-data')(version)
+  const world = makeWorld(version, ground)
+  const physics = Physics(mcData, world)
+  const player = fakePlayer(new Vec3(0.5, 70, 0.5), version)
+  setup(player, physics)
+  const state = new PlayerState(player, controls)
+  let maxFallDistance = 0
+  while (!state.onGround) {
+    physics.simulatePlayer(state, world)
+    maxFallDistance = Math.max(maxFallDistance, state.fallDistance)
+  }
+  expect(maxFallDistance).toBeGreaterThan(9)
+  expect(state.fallDistance).toEqual(0)
+  return state.fallDamage
+}
+
+describe('Fall damage tests', () => {
+  it('falling 10 blocks deals 7 damage', () => {
+    expect(fall('1.13.2', 'stone')).toEqual(7)
+  })
+
+  it('hay bales, beds and slime blocks reduce fall damage', () => {
+    expect(fall('1.13.2', 'hay_block')).toEqual(2)
+    expect(fall('1.13.2', 'red_bed')).toEqual(2)
+    expect(fall('1.13.2', 'slime_block')).toEqual(0)
+  })
+
+  it('Feather Falling reduces fall damage', () => {
+    const version = '1.13.2'
+    const mcData = require('minecraft-data')(version)
+    const world = makeWorld(version, 'stone')
+    const physics = Physics(mcData, world)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 70, 0.5), version), controls)
+    state.featherFalling = 4
+    while (!state.onGround) physics.simulatePlayer(state, world)
+    expect(state.fallDamage).toBeCloseTo(7 * (1 - 12 / 25))
+  })
+
+  it('water resets the fall distance', () => {
+    const version = '1.13.2'
+    const mcData = require('minecraft-data')(version)
+    const world = makeWorld(version, 'water')
+    const physics = Physics(mcData, world)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 70, 0.5), version), controls)
+    for (let i = 0; i < 60; i++) physics.simulatePlayer(state, world)
+    expect(state.isInWater).toBeTruthy()
+    expect(state.fallDistance).toEqual(0)
+  })
+
+  it('uses the safe fall distance and fall damage multiplier attributes', () => {
+    const damage = fall('1.21.1', 'stone', (player, physics) => {
+      player.entity.attributes = {
+        [physics.safeFallDistanceAttribute]: { value: 5, modifiers: [] },
+        [physics.fallDamageMultiplierAttribute]: { value: 2, modifiers: [] }
+      }
+    })
+    expect(damage).toEqual(10)
+  })
+})
@@ -0,0 +1,123 @@
+/* eslint-env mocha */
+
+const { Physics, PlayerState } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+
+const mcData = require('minecraft-data')('1.13.2')
+const Block = require('prismarine-block')('1.13.2')
+
+const fakeWorld = {
+  getBlock: (pos) => {
+    const type = (pos.y < 60) ? mcData.blocksByName.stone.id : mcData.blocksByName.air.id
+    const b = new Block(type, 0, 0)
+    b.position = pos
+    return b
+  }
+}
+
+function fakePlayer (pos, gameMode) {
+  return {
+    entity: {
+      position: pos,
+      velocity: new Vec3(0, 0, 0),
+      onGround: false,
+      isInWater: false,
+      isInLava: false,
+      isInWeb: false,
+      isCollidedHorizontally: false,
+      isCollidedVertically: false,
+      elytraFlying: false,
+      yaw: 0,
+      pitch: 0,
+      effects: {}
+    },
+    game: {
+      gameMode
+    },
+    physics: {
+      abilities: {
+        flying: true,
+        flyingSpeed: 0.05
+      }
+    },
+    jumpTicks: 0,
+    jumpQueued: false,
+    fireworkRocketDuration: 0,
+    version: '1.13.2',
+    inventory: {
+      slots: []
+    }
+  }
+}
+
+const controls = {
+  forward: false,
+  back: false,
+  left: false,
+  right: false,
+  jump: false,
+  sprint: false,
+  sneak: false
+}
+
+function passTicks (ticks, physics, state, world) {
+  for (let i = 0; i < ticks; i++) {
+    physics.simulatePlayer(state, world)
+  }
+}
+
+describe('Flying tests', () => {
+  it('hovers without falling', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const state = new PlayerState(fakePlayer(new Vec3(0, 80, 0), 'creative'), controls)
+    passTicks(100, physics, state, fakeWorld)
+    expect(state.pos.y).toEqual(80)
+    expect(state.flying).toBeTruthy()
+  })
+
+  it('flies horizontally at the flying speed, twice as fast when sprinting', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const walking = new PlayerState(fakePlayer(new Vec3(0, 80, 0), 'creative'), { ...controls, forward: true })
+    const sprinting = new PlayerState(fakePlayer(new Vec3(0, 80, 0), 'creative'), { ...controls, forward: true, sprint: true })
+    passTicks(100, physics, walking, fakeWorld)
+    passTicks(100, physics, sprinting, fakeWorld)
+    // 10.89 and 21.78 m/s
+    expect(walking.vel.z / 0.91 * 20).toBeCloseTo(-10.89, 1)
+    expect(sprinting.vel.z / 0.91 * 20).toBeCloseTo(-21.78, 1)
+  })
+
+  it('sneaking slows down flight before 1.14', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const flying = new PlayerState(fakePlayer(new Vec3(0, 80, 0), 'creative'), { ...controls, forward: true })
+    const sneaking = new PlayerState(fakePlayer(new Vec3(0, 80, 0), 'creative'), { ...controls, forward: true, sneak: true })
+    // Sneaking also descends, so stay well above the ground
+    passTicks(20, physics, flying, fakeWorld)
+    passTicks(20, physics, sneaking, fakeWorld)
+    expect(sneaking.flying).toBeTruthy()
+    expect(sneaking.vel.z).toBeCloseTo(flying.vel.z * 0.3, 5)
+  })
+
+  it('ascends with jump, descends with sneak and stops flying when landing', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const player = fakePlayer(new Vec3(0, 70, 0), 'creative')
+    const state = new PlayerState(player, { ...controls, jump: true })
+    passTicks(20, physics, state, fakeWorld)
+    expect(state.pos.y).toBeGreaterThan(76)
+    state.control = { ...controls, sneak: true }
+    passTicks(100, physics, state, fakeWorld)
+    expect(state.pos.y).toEqual(60)
+    expect(state.flying).toBeFalsy()
+    state.apply(player)
+    expect(player.physics.abilities.flying).toBeFalsy()
+  })
+
+  it('spectators fly through blocks', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const state = new PlayerState(fakePlayer(new Vec3(0, 62, 0), 'spectator'), { ...controls, sneak: true })
+    passTicks(40, physics, state, fakeWorld)
+    expect(state.pos.y).toBeLessThan(55)
+    expect(state.flying).toBeTruthy()
+    expect(state.onGround).toBeFalsy()
+  })
+})
@@ -0,0 +1,111 @@
+/* eslint-env mocha */
+
+const { Physics, PlayerState } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+
+const mcData = require('minecraft-data')('1.13.2')
+const Block = require('prismarine-block')('1.13.2')
+
+function makeWorld (isSolid) {
+  return {
+    getBlock: (pos) => {
+      const b = new Block(isSolid(pos) ? mcData.blocksByName.stone.id : mcData.blocksByName.air.id, 0, 0)
+      b.position = pos.clone()
+      return b
+    }
+  }
+}
+
+const fakeWorld = makeWorld((pos) => pos.y < 60)
+// A wall between the player and the explosion
+const wallWorld = makeWorld((pos) => pos.y < 60 || (pos.z === 2 && pos.y < 64 && Math.abs(pos.x) < 3))
+
+function fakePlayer (pos) {
+  return {
+    entity: {
+      position: pos,
+      velocity: new Vec3(0, 0, 0),
+      onGround: true,
+      isInWater: false,
+      isInLava: false,
+      isInWeb: false,
+      isCollidedHorizontally: false,
+      isCollidedVertically: false,
+      elytraFlying: false,
+      yaw: 0,
+      pitch: 0,
+      effects: {}
+    },
+    jumpTicks: 0,
+    jumpQueued: false,
+    fireworkRocketDuration: 0,
+    version: '1.13.2',
+    inventory: {
+      slots: []
+    }
+  }
+}
+
+const controls = {
+  forward: false,
+  back: false,
+  left: false,
+  right: false,
+  jump: false,
+  sprint: false,
+  sneak: false
+}
+
+describe('Impulse tests', () => {
+  it('knockback halves the velocity and pushes away from the source', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 60, 0.5)), controls)
+    state.vel.set(0.2, 0, 0)
+    physics.applyKnockback(state, 0.4, 0, 2)
+    expect(state.vel.x).toBeCloseTo(0.1)
+    expect(state.vel.y).toBeCloseTo(0.4)
+    expect(state.vel.z).toBeCloseTo(-0.4)
+  })
+
+  it('knockback resistance reduces knockback', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const player = fakePlayer(new Vec3(0.5, 60, 0.5))
+    player.entity.attributes = {
+      [physics.knockbackResistanceAttribute]: { value: 1, modifiers: [] }
+    }
+    const state = new PlayerState(player, controls)
+    physics.applyKnockback(state, 0.4, 0, 1)
+    expect(state.vel).toEqual(new Vec3(0, 0, 0))
+  })
+
+  it('explosions push away from the center', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 60, 0.5)), controls)
+    physics.applyExplosion(state, new Vec3(0.5, 60, 3.5), 4, fakeWorld)
+    expect(state.vel.x).toBeCloseTo(0)
+    expect(state.vel.y).toBeGreaterThan(0)
+    expect(state.vel.z).toBeLessThan(-0.3)
+  })
+
+  it('blocks shield from explosions', () => {
+    const physics = Physics(mcData, wallWorld)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 60, 0.5)), controls)
+    physics.applyExplosion(state, new Vec3(0.5, 60.5, 3.5), 4, wallWorld)
+    expect(state.vel).toEqual(new Vec3(0, 0, 0))
+  })
+
+  it('explosions out of range do nothing', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 60, 0.5)), controls)
+    physics.applyExplosion(state, new Vec3(0.5, 60, 20.5), 4, fakeWorld)
+    expect(state.vel).toEqual(new Vec3(0, 0, 0))
+  })
+
+  it('velocity packets are in 1/8000 blocks per tick', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 60, 0.5)), controls)
+    physics.applyVelocityPacket(state, { entityId: 1, velocityX: 8000, velocityY: -4000, velocityZ: 800 })
+    expect(state.vel).toEqual(new Vec3(1, -0.5, 0.1))
+  })
+})
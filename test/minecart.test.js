@@ -0,0 +1,132 @@
+/* eslint-env mocha */
+
+const { Physics, MinecartState } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+
+const mcData = require('minecraft-data')('1.13.2')
+const Block = require('prismarine-block')('1.13.2')
+
+// rails maps 'x,y,z' to [block name, properties], other blocks are stone when isSolid(pos) is true
+function makeRailWorld (rails, isSolid = (pos) => pos.y < 60) {
+  return {
+    getBlock: (pos) => {
+      const rail = rails[`${pos.x},${pos.y},${pos.z}`]
+      let b
+      if (rail) {
+        b = Block.fromProperties(mcData.blocksByName[rail[0]].id, rail[1], 0)
+      } else {
+        b = new Block(isSolid(pos) ? mcData.blocksByName.stone.id : mcData.blocksByName.air.id, 0, 0)
+      }
+      b.position = pos.clone()
+      return b
+    }
+  }
+}
+
+function straightTrack (from, to, name, properties) {
+  const rails = {}
+  for (let z = from; z <= to; z++) {
+    rails[`0,60,${z}`] = [name, { shape: 'north_south', ...properties }]
+  }
+  return rails
+}
+
+function fakeMinecart (pos, vel) {
+  return {
+    name: 'minecart',
+    position: pos,
+    velocity: vel || new Vec3(0, 0, 0),
+    onGround: false
+  }
+}
+
+function untilStopped (physics, state, world, maxTicks) {
+  let ticks = 0
+  do {
+    physics.simulateMinecart(state, world)
+    ticks++
+  } while ((state.vel.x !== 0 || state.vel.z !== 0) && ticks < maxTicks)
+  return ticks
+}
+
+describe('Minecart tests', () => {
+  it('rolls along a straight rail and slows down', () => {
+    const world = makeRailWorld(straightTrack(0, 100, 'rail'))
+    const physics = Physics(mcData, world)
+    const state = new MinecartState(fakeMinecart(new Vec3(0.5, 60.0625, 0.5), new Vec3(0, 0, 0.4)))
+    untilStopped(physics, state, world, 1000)
+    expect(state.rail).toEqual('rail')
+    expect(state.pos.x).toEqual(0.5)
+    expect(state.pos.y).toEqual(60.0625)
+    expect(state.pos.z).toBeGreaterThan(5)
+    expect(state.pos.z).toBeLessThan(15)
+  })
+
+  it('slows down faster on waterlogged rails', () => {
+    const version = '1.17.1'
+    const Block = require('prismarine-block')(version)
+    const mcData = require('minecraft-data')(version)
+    const makeWorld = (waterlogged) => ({
+      getBlock: (pos) => {
+        const type = pos.y < 60 ? 'stone' : pos.y < 61 && pos.x === 0 ? 'rail' : 'air'
+        const b = type === 'rail'
+          ? Block.fromProperties(mcData.blocksByName.rail.id, { shape: 'north_south', waterlogged }, 0)
+          : new Block(mcData.blocksByName[type].id, 0, 0)
+        b.position = pos.clone()
+        return b
+      }
+    })
+    const roll = (world) => {
+      const physics = Physics(mcData, world)
+      const state = new MinecartState(fakeMinecart(new Vec3(0.5, 60.0625, 0.5), new Vec3(0, 0, 0.15)))
+      untilStopped(physics, state, world, 1000)
+      return state
+    }
+    const dry = roll(makeWorld(false))
+    const wet = roll(makeWorld(true))
+    expect(wet.isInWater).toBeTruthy()
+    expect(wet.pos.z - 0.5).toBeLessThan((dry.pos.z - 0.5) * 0.6)
+  })
+
+  it('powered rails boost up to the max speed and brake when unpowered', () => {
+    const rails = {
+      ...straightTrack(0, 50, 'powered_rail', { powered: true }),
+      ...straightTrack(51, 60, 'rail'),
+      ...straightTrack(61, 80, 'powered_rail', { powered: false })
+    }
+    const world = makeRailWorld(rails)
+    const physics = Physics(mcData, world)
+    const state = new MinecartState(fakeMinecart(new Vec3(0.5, 60.0625, 0.5), new Vec3(0, 0, 0.1)))
+    for (let i = 0; i < 100; i++) physics.simulateMinecart(state, world)
+    expect(state.vel.z).toBeGreaterThan(0.4)
+    untilStopped(physics, state, world, 1000)
+    expect(state.pos.z).toBeGreaterThan(61)
+    expect(state.pos.z).toBeLessThan(66)
+  })
+
+  it('kick starts a still cart on a powered rail against a block', () => {
+    const rails = straightTrack(0, 10, 'powered_rail', { powered: true })
+    const world = makeRailWorld(rails, (pos) => pos.y < 60 || (pos.y === 60 && pos.z === -1))
+    const physics = Physics(mcData, world)
+    const state = new MinecartState(fakeMinecart(new Vec3(0.5, 60.0625, 0.5)))
+    physics.simulateMinecart(state, world)
+    expect(state.vel.z).toBeGreaterThan(0)
+  })
+
+  it('goes up a slope', () => {
+    const rails = {
+      ...straightTrack(0, 9, 'rail'),
+      '0,60,10': ['rail', { shape: 'ascending_south' }]
+    }
+    for (let z = 11; z <= 100; z++) {
+      rails[`0,61,${z}`] = ['rail', { shape: 'north_south' }]
+    }
+    const world = makeRailWorld(rails, (pos) => pos.y < 60 || (pos.y === 60 && pos.z > 10))
+    const physics = Physics(mcData, world)
+    const state = new MinecartState(fakeMinecart(new Vec3(0.5, 60.0625, 0.5), new Vec3(0, 0, 0.4)), { velocity: new Vec3(0, 0, 0) })
+    untilStopped(physics, state, world, 1000)
+    expect(state.pos.y).toEqual(61.0625)
+    expect(state.pos.z).toBeGreaterThan(11)
+  })
+})
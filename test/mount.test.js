@@ -0,0 +1,176 @@
+/* eslint-env mocha */
+
+const { Physics, MountState } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+
+const mcData = require('minecraft-data')('1.20.4')
+const Block = require('prismarine-block')('1.20.4')
+
+function makeWorld (blockAt) {
+  return {
+    getBlock: (pos) => {
+      const b = new Block(mcData.blocksByName[blockAt(pos)].id, 0, 0)
+      b.position = pos.clone()
+      return b
+    }
+  }
+}
+
+const fakeWorld = makeWorld((pos) => pos.y < 60 ? 'stone' : 'air')
+const stepWorld = makeWorld((pos) => (pos.y < 60 || (pos.y === 60 && pos.z < -5)) ? 'stone' : 'air')
+const lavaWorld = makeWorld((pos) => pos.y < 50 ? 'stone' : pos.y < 60 ? 'lava' : 'air')
+const waterWorld = makeWorld((pos) => pos.y < 50 ? 'stone' : pos.y < 60 ? 'water' : 'air')
+
+const controls = {
+  forward: false,
+  back: false,
+  left: false,
+  right: false,
+  jump: false,
+  sprint: false,
+  sneak: false
+}
+
+function fakeRider (name, pos) {
+  return {
+    entity: {
+      position: pos.offset(0, 1, 0),
+      velocity: new Vec3(0, 0, 0),
+      yaw: 0, // north (-z)
+      pitch: 0
+    },
+    vehicle: {
+      name,
+      position: pos,
+      velocity: new Vec3(0, 0, 0),
+      onGround: true,
+      effects: {}
+    },
+    version: '1.20.4'
+  }
+}
+
+function passTicks (ticks, physics, state, world) {
+  for (let i = 0; i < ticks; i++) {
+    physics.simulateMount(state, world)
+  }
+}
+
+describe('Mount tests', () => {
+  it('horse walks at its movement speed', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const slowRider = fakeRider('horse', new Vec3(0.5, 60, 0.5))
+    slowRider.vehicle.attributes = {
+      [physics.movementSpeedAttribute]: { value: 0.1125, modifiers: [] }
+    }
+    const fast = new MountState(fakeRider('horse', new Vec3(0.5, 60, 0.5)), { ...controls, forward: true })
+    const slow = new MountState(slowRider, { ...controls, forward: true })
+    passTicks(100, physics, fast, fakeWorld)
+    passTicks(100, physics, slow, fakeWorld)
+    expect(fast.vel.z / 0.546).toBeCloseTo(-0.225 * 0.98 / (1 - 0.546), 3)
+    expect(slow.pos.z).toBeCloseTo(fast.pos.z / 2, 0)
+    expect(fast.pos.x).toEqual(0.5)
+  })
+
+  it('steps up a full block', () => {
+    const physics = Physics(mcData, stepWorld)
+    const state = new MountState(fakeRider('horse', new Vec3(0.5, 60, 0.5)), { ...controls, forward: true })
+    passTicks(40, physics, state, stepWorld)
+    expect(state.pos.z).toBeLessThan(-6)
+    expect(state.pos.y).toEqual(61)
+  })
+
+  it('charged jumps go higher', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const heights = [2, 10].map((chargeTicks) => {
+      const state = new MountState(fakeRider('horse', new Vec3(0.5, 60, 0.5)), { ...controls })
+      state.control.jump = true
+      passTicks(chargeTicks, physics, state, fakeWorld)
+      expect(state.pos.y).toEqual(60)
+      state.control.jump = false
+      let maxHeight = 0
+      do {
+        physics.simulateMount(state, fakeWorld)
+        maxHeight = Math.max(maxHeight, state.pos.y - 60)
+      } while (!state.onGround || maxHeight === 0)
+      return maxHeight
+    })
+    expect(heights[0]).toBeGreaterThan(0.3)
+    expect(heights[1]).toBeGreaterThan(2)
+    expect(heights[1]).toBeGreaterThan(heights[0] * 2)
+  })
+
+  it('camel dashes forward', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const walking = new MountState(fakeRider('camel', new Vec3(0.5, 60, 0.5)), { ...controls, forward: true })
+    const dashing = new MountState(fakeRider('camel', new Vec3(0.5, 60, 0.5)), { ...controls, forward: true, jump: true })
+    passTicks(10, physics, walking, fakeWorld)
+    passTicks(10, physics, dashing, fakeWorld)
+    dashing.control.jump = false
+    passTicks(2, physics, dashing, fakeWorld)
+    expect(dashing.dashCooldown).toBeGreaterThan(0)
+    passTicks(20, physics, walking, fakeWorld)
+    passTicks(20, physics, dashing, fakeWorld)
+    expect(dashing.pos.z).toBeLessThan(walking.pos.z - 5)
+  })
+
+  it('camel dashes are not boosted by sprinting', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const [walking, sprinting] = [false, true].map((sprint) => {
+      const state = new MountState(fakeRider('camel', new Vec3(0.5, 60, 0.5)), { ...controls, sprint })
+      state.jumpPendingScale = 1
+      physics.simulateMount(state, fakeWorld)
+      expect(state.dashCooldown).toBeGreaterThan(0)
+      return state
+    })
+    expect(sprinting.vel.z).toEqual(walking.vel.z)
+  })
+
+  it('keeps a jump charged in the air until landing', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const state = new MountState(fakeRider('horse', new Vec3(0.5, 62, 0.5)), { ...controls })
+    state.onGround = false
+    state.jumpPendingScale = 1
+    while (!state.onGround) physics.simulateMount(state, fakeWorld)
+    expect(state.jumpPendingScale).toEqual(1)
+    physics.simulateMount(state, fakeWorld)
+    expect(state.isJumping).toBeTruthy()
+    expect(state.jumpPendingScale).toEqual(0)
+    expect(state.pos.y).toBeGreaterThan(60)
+  })
+
+  it('pigs walk forward on their own', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const state = new MountState(fakeRider('pig', new Vec3(0.5, 60, 0.5)), { ...controls })
+    passTicks(20, physics, state, fakeWorld)
+    expect(state.pos.z).toBeLessThan(-1)
+  })
+
+  it('striders walk on lava', () => {
+    const physics = Physics(mcData, lavaWorld)
+    const state = new MountState(fakeRider('strider', new Vec3(0.5, 58, 0.5)), { ...controls })
+    passTicks(100, physics, state, lavaWorld)
+    expect(state.pos.y).toBeCloseTo(59.5)
+    expect(state.onGround).toBeTruthy()
+    expect(state.pos.z).toBeLessThan(-5)
+  })
+
+  it('horses swim slowly and sink in water', () => {
+    const physics = Physics(mcData, waterWorld)
+    const state = new MountState(fakeRider('horse', new Vec3(0.5, 55, 0.5)), { ...controls, forward: true })
+    state.onGround = false
+    passTicks(20, physics, state, waterWorld)
+    expect(state.isInWater).toBeTruthy()
+    expect(state.pos.y).toBeLessThan(55)
+    expect(state.pos.y).toBeGreaterThan(52)
+    expect(state.pos.z).toBeGreaterThan(-2)
+    expect(state.pos.z).toBeLessThan(-0.5)
+  })
+
+  it('throws on entities that are not mounts', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const state = new MountState(fakeRider('zombie', new Vec3(0.5, 60, 0.5)), { ...controls })
+    expect(() => physics.simulateMount(state, fakeWorld)).toThrow()
+  })
+})
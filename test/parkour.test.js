@@ -0,0 +1,103 @@
+/* eslint-env mocha */
+
+const { Physics, PlayerState } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+
+const mcData = require('minecraft-data')('1.13.2')
+const Block = require('prismarine-block')('1.13.2')
+
+// Stone at the given block positions, air everywhere else
+function makeWorld (stones) {
+  const solid = new Set(stones.map(([x, y, z]) => `${x},${y},${z}`))
+  return {
+    getBlock: (pos) => {
+      const p = pos.floored()
+      const type = solid.has(`${p.x},${p.y},${p.z}`) ? mcData.blocksByName.stone.id : mcData.blocksByName.air.id
+      const b = new Block(type, 0, 0)
+      b.position = p
+      return b
+    }
+  }
+}
+
+// Run the plan from the top of the start block, like a bot would
+function executePlan (physics, world, start, plan) {
+  const state = PlayerState.create(mcData, {
+    pos: { x: start.x + 0.5, y: start.y + 1, z: start.z + 0.5 },
+    vel: { x: 0, y: 0, z: 0 },
+    onGround: true,
+    yaw: 0,
+    pitch: 0,
+    control: plan[0].control,
+    jumpBoost: 0,
+    speed: 0,
+    slowness: 0,
+    dolphinsGrace: 0,
+    slowFalling: 0,
+    levitation: 0,
+    depthStrider: 0,
+    featherFalling: 0,
+    soulSpeed: 0,
+    elytraEquipped: false,
+    leatherBootsEquipped: false
+  })
+  for (const input of plan) {
+    state.control = input.control
+    state.yaw = input.yaw
+    for (let i = 0; i < input.ticks; i++) physics.simulatePlayer(state, world)
+  }
+  return state
+}
+
+describe('Parkour solver tests', () => {
+  const start = new Vec3(0, 60, 0)
+
+  it('finds a plan for a 3 blocks gap, that lands on the target when executed', () => {
+    const target = new Vec3(0, 60, -4)
+    const world = makeWorld([[0, 60, 0], [0, 60, 1], [0, 60, 2], [0, 60, -4]])
+    const physics = Physics(mcData, world)
+    const result = physics.solveParkourJump(start, target, world)
+    expect(result).not.toBeNull()
+    expect(result.plan.some(input => input.control.jump)).toBeTruthy()
+    expect(result.ticks).toEqual(result.plan.reduce((ticks, input) => ticks + input.ticks, 0))
+
+    const state = executePlan(physics, world, start, result.plan)
+    expect(state.pos).toEqual(result.state.pos)
+    expect(state.onGround).toBeTruthy()
+    expect(state.pos.floored()).toEqual(new Vec3(0, 61, -4))
+  })
+
+  it('uses a run-up for longer gaps', () => {
+    const target = new Vec3(0, 60, -5)
+    const runway = [0, 1, 2, 3, 4].map(z => [0, 60, z])
+    const world = makeWorld([...runway, [0, 60, -5]])
+    const physics = Physics(mcData, world)
+    const result = physics.solveParkourJump(start, target, world, { yawOffsets: [0] })
+    expect(result).not.toBeNull()
+    expect(result.plan[0].control.back).toBeTruthy()
+    expect(executePlan(physics, world, start, result.plan).pos.floored()).toEqual(new Vec3(0, 61, -5))
+  })
+
+  it('returns null when no plan exists', () => {
+    const target = new Vec3(0, 60, -6)
+    const world = makeWorld([[0, 60, 0], [0, 60, -6]])
+    const physics = Physics(mcData, world)
+    expect(physics.solveParkourJump(start, target, world, { yawOffsets: [0], steerTicks: [null] })).toBeNull()
+  })
+
+  it('jumps around walls', () => {
+    const target = new Vec3(0, 60, -2)
+    const wall = [61, 62, 63].map(y => [0, y, -1])
+    const world = makeWorld([[0, 60, 0], [0, 60, -2], ...wall])
+    const physics = Physics(mcData, world)
+    const result = physics.solveParkourJump(start, target, world)
+    expect(result).not.toBeNull()
+    expect(result.plan.filter(input => !input.control.back).length).toBeGreaterThan(2)
+    const state = executePlan(physics, world, start, result.plan)
+    expect(state.pos).toEqual(result.state.pos)
+    expect(state.onGround).toBeTruthy()
+    expect(state.pos.y).toEqual(61)
+    expect(Math.abs(state.pos.z + 1.5)).toBeLessThan(0.8)
+  })
+})
@@ -0,0 +1,144 @@
+/* eslint-env mocha */
+
+const { Physics, PlayerState } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+
+// Stone floor below y = 60, a 1.5 blocks high tunnel (top slabs) for 3 <= x < 6,
+// and a 1 block high tunnel for 10 <= x < 13
+function makeWorld (version) {
+  const mcData = require('minecraft-data')(version)
+  const Block = require('prismarine-block')(version)
+  return {
+    getBlock: (pos) => {
+      let b
+      if (pos.y === 61 && pos.x >= 3 && pos.x < 6) {
+        b = Block.fromProperties(mcData.blocksByName.oak_slab.id, { type: 'top', waterlogged: 'false' }, 0)
+      } else {
+        const solid = pos.y < 60 || (pos.y === 61 && pos.x >= 10 && pos.x < 13)
+        b = new Block(solid ? mcData.blocksByName.stone.id : mcData.blocksByName.air.id, 0, 0)
+      }
+      b.position = pos.clone()
+      return b
+    }
+  }
+}
+
+function fakePlayer (pos, version) {
+  return {
+    entity: {
+      position: pos,
+      velocity: new Vec3(0, 0, 0),
+      onGround: true,
+      isInWater: false,
+      isInLava: false,
+      isInWeb: false,
+      isCollidedHorizontally: false,
+      isCollidedVertically: false,
+      elytraFlying: false,
+      yaw: -Math.PI / 2, // east (+x)
+      pitch: 0,
+      effects: {}
+    },
+    jumpTicks: 0,
+    jumpQueued: false,
+    fireworkRocketDuration: 0,
+    version,
+    inventory: {
+      slots: []
+    }
+  }
+}
+
+const controls = {
+  forward: true,
+  back: false,
+  left: false,
+  right: false,
+  jump: false,
+  sprint: false,
+  sneak: false
+}
+
+function passTicks (ticks, physics, state, world) {
+  for (let i = 0; i < ticks; i++) {
+    physics.simulatePlayer(state, world)
+  }
+}
+
+describe('Pose tests', () => {
+  const version = '1.14.4'
+  const mcData = require('minecraft-data')(version)
+  const world = makeWorld(version)
+
+  it('standing players do not fit under a 1.5 blocks high ceiling', () => {
+    const physics = Physics(mcData, world)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 60, 0.5), version), { ...controls })
+    passTicks(40, physics, state, world)
+    expect(state.pose).toEqual('standing')
+    expect(state.pos.x).toBeCloseTo(2.7)
+  })
+
+  it('crouching players walk under a 1.5 blocks high ceiling', () => {
+    const physics = Physics(mcData, world)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 60, 0.5), version), { ...controls, sneak: true })
+    passTicks(140, physics, state, world)
+    expect(state.pose).toEqual('crouching')
+    expect(state.pos.x).toBeGreaterThan(5)
+  })
+
+  it('crouching players stay crouched under the ceiling', () => {
+    const physics = Physics(mcData, world)
+    const state = new PlayerState(fakePlayer(new Vec3(4.5, 60, 0.5), version), { ...controls, forward: false })
+    physics.simulatePlayer(state, world)
+    expect(state.pose).toEqual('crouching')
+  })
+
+  it('players in a 1 block high gap crawl slowly', () => {
+    const physics = Physics(mcData, world)
+    const state = new PlayerState(fakePlayer(new Vec3(10.5, 60, 0.5), version), { ...controls })
+    const walking = new PlayerState(fakePlayer(new Vec3(20.5, 60, 0.5), version), { ...controls })
+    physics.simulatePlayer(state, world)
+    expect(state.pose).toEqual('swimming')
+    passTicks(19, physics, state, world)
+    passTicks(20, physics, walking, world)
+    expect(state.pose).toEqual('swimming')
+    expect(state.vel.x / walking.vel.x).toBeCloseTo(0.3)
+    passTicks(100, physics, state, world)
+    expect(state.pose).toEqual('standing')
+    expect(state.pos.x).toBeGreaterThan(13.3)
+  })
+
+  it('the liquid checks use the box of the pose', () => {
+    // Water above a bottom slab at y = 59
+    const Block = require('prismarine-block')(version)
+    const world = {
+      getBlock: (pos) => {
+        let b
+        if (pos.y === 59) {
+          b = Block.fromProperties(mcData.blocksByName.oak_slab.id, { type: 'bottom', waterlogged: 'false' }, 0)
+        } else {
+          b = new Block(mcData.blocksByName[pos.y < 59 ? 'stone' : pos.y === 60 ? 'water' : 'air'].id, 0, 0)
+        }
+        b.position = pos.clone()
+        return b
+      }
+    }
+    const physics = Physics(mcData, world)
+    const player = fakePlayer(new Vec3(0.5, 59.5, 0.5), version)
+    player.entity.pose = 'swimming'
+    const state = new PlayerState(player, { ...controls, forward: false })
+    physics.simulatePlayer(state, world)
+    expect(state.isInWater).toBeTruthy()
+  })
+
+  it('sneaking does not shrink the hitbox before 1.14', () => {
+    const version = '1.13.2'
+    const world = makeWorld(version)
+    const physics = Physics(require('minecraft-data')(version), world)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 60, 0.5), version), { ...controls, sneak: true })
+    passTicks(80, physics, state, world)
+    expect(state.pose).toEqual('standing')
+    expect(state.pos.x).toBeCloseTo(2.7)
+  })
+})
@@ -0,0 +1,112 @@
+/* eslint-env mocha */
+
+const { Physics, PlayerState } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+
+const version = '1.20.4'
+const mcData = require('minecraft-data')(version)
+const Block = require('prismarine-block')(version)
+
+// Two layers of powder snow at y = 59 and 60 on stone, air above
+function makeWorld () {
+  return {
+    getBlock: (pos) => {
+      const type = pos.y < 59 ? 'stone' : pos.y < 61 ? 'powder_snow' : 'air'
+      const b = new Block(mcData.blocksByName[type].id, 0, 0)
+      b.position = pos.clone()
+      return b
+    }
+  }
+}
+
+function fakePlayer (pos, boots) {
+  return {
+    entity: {
+      position: pos,
+      velocity: new Vec3(0, 0, 0),
+      onGround: false,
+      isInWater: false,
+      isInLava: false,
+      isInWeb: false,
+      isCollidedHorizontally: false,
+      isCollidedVertically: false,
+      elytraFlying: false,
+      yaw: 0,
+      pitch: 0,
+      effects: {}
+    },
+    jumpTicks: 0,
+    jumpQueued: false,
+    fireworkRocketDuration: 0,
+    version,
+    inventory: {
+      slots: boots ? { 8: { name: boots } } : []
+    }
+  }
+}
+
+const controls = {
+  forward: false,
+  back: false,
+  left: false,
+  right: false,
+  jump: false,
+  sprint: false,
+  sneak: false
+}
+
+function simulate (state, ticks) {
+  const world = makeWorld()
+  const physics = Physics(mcData, world)
+  for (let i = 0; i < ticks; i++) physics.simulatePlayer(state, world)
+  return state
+}
+
+describe('Powder snow', () => {
+  it('players without leather boots sink into it and are slowed down', () => {
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 61, 0.5)), { ...controls, forward: true })
+    simulate(state, 40)
+    expect(state.pos.y).toBeCloseTo(59)
+    expect(state.onGround).toBeTruthy()
+    expect(state.isInPowderSnow).toBeTruthy()
+    // less than half of the distance walked on stone in 40 ticks
+    expect(state.pos.z).toBeGreaterThan(0.5 - 4)
+  })
+
+  it('players wearing leather boots walk on top of it, unless they sneak', () => {
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 61, 0.5), 'leather_boots'), { ...controls, forward: true })
+    simulate(state, 20)
+    expect(state.pos.y).toEqual(61)
+    expect(state.onGround).toBeTruthy()
+    expect(state.isInPowderSnow).toBeFalsy()
+
+    state.control = { ...controls, sneak: true }
+    simulate(state, 40)
+    expect(state.pos.y).toBeCloseTo(59)
+  })
+
+  it('other boots do not hold the player', () => {
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 61, 0.5), 'iron_boots'), controls)
+    simulate(state, 40)
+    expect(state.pos.y).toBeCloseTo(59)
+  })
+
+  it('players wearing leather boots climb out of it by jumping', () => {
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 59, 0.5), 'leather_boots'), { ...controls, jump: true })
+    state.onGround = true
+    simulate(state, 40)
+    expect(state.pos.y).toBeGreaterThanOrEqual(61)
+  })
+
+  it('falling entities land on it without fall damage, then sink', () => {
+    const world = makeWorld()
+    const physics = Physics(mcData, world)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 70, 0.5)), controls)
+    while (!state.onGround) physics.simulatePlayer(state, world)
+    expect(state.pos.y).toBeCloseTo(60 + physics.powderSnowFallingHeight)
+    expect(state.fallDamage).toEqual(0)
+    for (let i = 0; i < 40; i++) physics.simulatePlayer(state, world)
+    expect(state.pos.y).toBeCloseTo(59)
+  })
+})
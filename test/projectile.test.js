@@ -0,0 +1,79 @@
+/* eslint-env mocha */
+
+const { Physics } = require('prismarine-physics')
+const AABB = require('prismarine-physics/lib/aabb')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+
+const mcData = require('minecraft-data')('1.13.2')
+const Block = require('prismarine-block')('1.13.2')
+
+const fakeWorld = {
+  getBlock: (pos) => {
+    const type = (pos.y < 60 || pos.x >= 20) ? mcData.blocksByName.stone.id : mcData.blocksByName.air.id
+    const b = new Block(type, 0, 0)
+    b.position = pos
+    return b
+  }
+}
+
+const waterWorld = {
+  getBlock: (pos) => {
+    const type = (pos.y < 60) ? mcData.blocksByName.stone.id : (pos.y < 70) ? mcData.blocksByName.water.id : mcData.blocksByName.air.id
+    const b = new Block(type, 0, 0)
+    b.position = pos
+    return b
+  }
+}
+
+describe('Projectile tests', () => {
+  it('arrow lands on the top face of the ground', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const result = physics.simulateProjectile({ name: 'arrow', pos: new Vec3(0.5, 62, 0.5), vel: new Vec3(0, 0, -1) }, fakeWorld)
+    expect(result.entity).toBeNull()
+    expect(result.block.face).toEqual(1)
+    expect(result.block.position.y).toEqual(59)
+    expect(result.block.intersect.y).toBeCloseTo(60)
+    expect(result.path[result.path.length - 1]).toEqual(result.block.intersect)
+  })
+
+  it('snowball hits the west face of a wall', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const result = physics.simulateProjectile({ name: 'snowball', pos: new Vec3(10.5, 65, 0.5), vel: new Vec3(1.5, 0, 0) }, fakeWorld)
+    expect(result.block.face).toEqual(4)
+    expect(result.block.position.x).toEqual(20)
+    expect(result.block.intersect.x).toBeCloseTo(20)
+  })
+
+  it('hits a candidate entity before the wall', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const target = new AABB(14.7, 64, 0.2, 15.3, 65.8, 0.8)
+    const result = physics.simulateProjectile({ name: 'arrow', pos: new Vec3(10.5, 65, 0.5), vel: new Vec3(3, 0, 0) }, fakeWorld, { entities: [target] })
+    expect(result.block).toBeNull()
+    expect(result.entity.index).toEqual(0)
+    expect(result.entity.intersect.x).toBeCloseTo(14.4)
+  })
+
+  it('is slowed down much more in water', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const air = physics.simulateProjectile({ name: 'arrow', pos: new Vec3(0.5, 75, 0.5), vel: new Vec3(0, 0, -3) }, fakeWorld, { maxTicks: 5 })
+    const water = physics.simulateProjectile({ name: 'arrow', pos: new Vec3(0.5, 65, 0.5), vel: new Vec3(0, 0, -3) }, waterWorld, { maxTicks: 5 })
+    expect(water.path[5].z).toBeGreaterThan(air.path[5].z / 2)
+  })
+
+  it('aims at a target', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const from = new Vec3(0.5, 61.6, 0.5)
+    const target = new Vec3(-30.5, 62, -40.5)
+    const aim = physics.getProjectileAim('arrow', from, target, 3)
+    const dir = new Vec3(-Math.sin(aim.yaw) * Math.cos(aim.pitch), Math.sin(aim.pitch), -Math.cos(aim.yaw) * Math.cos(aim.pitch))
+    const targetBB = new AABB(target.x - 0.1, target.y - 0.1, target.z - 0.1, target.x + 0.1, target.y + 0.1, target.z + 0.1)
+    const result = physics.simulateProjectile({ name: 'arrow', pos: from, vel: dir.scaled(3) }, fakeWorld, { entities: [targetBB] })
+    expect(result.entity).not.toBeNull()
+  })
+
+  it('cannot aim out of range', () => {
+    const physics = Physics(mcData, fakeWorld)
+    expect(physics.getProjectileAim('snowball', new Vec3(0, 60, 0), new Vec3(500, 60, 0), 1.5)).toBeNull()
+  })
+})
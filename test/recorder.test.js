@@ -0,0 +1,120 @@
+/* eslint-env mocha */
+
+const { Physics, PlayerState } = require('prismarine-physics')
+const { MovementRecorder, readRecording, replayMovement } = require('prismarine-physics/lib/recorder')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const mcData = require('minecraft-data')('1.13.2')
+const Block = require('prismarine-block')('1.13.2')
+
+function makeWorld (isSolid) {
+  return {
+    getBlock: (pos) => {
+      const b = new Block(isSolid(pos) ? mcData.blocksByName.stone.id : mcData.blocksByName.air.id, 0, 0)
+      b.position = pos.clone()
+      return b
+    }
+  }
+}
+
+const fakeWorld = makeWorld((pos) => pos.y < 60)
+const wallWorld = makeWorld((pos) => pos.y < 60 || (pos.z === -3 && pos.y === 60))
+
+function fakePlayer (pos) {
+  return {
+    entity: {
+      position: pos,
+      velocity: new Vec3(0, 0, 0),
+      onGround: true,
+      isInWater: false,
+      isInLava: false,
+      isInWeb: false,
+      isCollidedHorizontally: false,
+      isCollidedVertically: false,
+      elytraFlying: false,
+      yaw: 0,
+      pitch: 0,
+      effects: {}
+    },
+    jumpTicks: 0,
+    jumpQueued: false,
+    fireworkRocketDuration: 0,
+    version: '1.13.2',
+    inventory: {
+      slots: []
+    }
+  }
+}
+
+const controls = {
+  forward: true,
+  back: false,
+  left: false,
+  right: false,
+  jump: false,
+  sprint: false,
+  sneak: false
+}
+
+describe('Recorder tests', () => {
+  const file = path.join(os.tmpdir(), `prismarine-physics-recording-${process.pid}.jsonl`)
+
+  before(() => {
+    const physics = Physics(mcData, fakeWorld)
+    const recorder = new MovementRecorder(physics, file)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 60, 0.5)), { ...controls })
+    for (let i = 0; i < 20; i++) {
+      recorder.simulatePlayer(state, fakeWorld)
+      recorder.confirm(state.pos)
+    }
+    recorder.close()
+  })
+
+  after(() => {
+    fs.unlinkSync(file)
+  })
+
+  it('writes one line per tick and per server position', () => {
+    const entries = readRecording(file)
+    expect(entries.length).toEqual(40)
+    expect(entries[0].type).toEqual('tick')
+    expect(entries[0].state.control).toEqual(controls)
+    expect(entries[0].result.movementBranch).toEqual('ground')
+    expect(entries[1]).toEqual({ type: 'server', tick: 1, pos: entries[0].result.pos })
+  })
+
+  it('replays without divergence in the same world', () => {
+    const physics = Physics(mcData, fakeWorld)
+    expect(replayMovement(physics, file, fakeWorld)).toBeNull()
+  })
+
+  it('reports the first divergence in another world', () => {
+    const physics = Physics(mcData, wallWorld)
+    const divergence = replayMovement(physics, file, wallWorld)
+    expect(divergence.field).toEqual('pos.z')
+    expect(divergence.expected).toBeLessThan(divergence.actual)
+    expect(divergence.branch).toEqual('ground')
+    expect(divergence.recordedBranch).toEqual('ground')
+  })
+
+  it('compares with the server-confirmed positions', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const entries = readRecording(file)
+    entries[9].pos.x += 0.01
+    const divergence = replayMovement(physics, entries, fakeWorld)
+    expect(divergence.tick).toEqual(5)
+    expect(divergence.field).toEqual('pos.x')
+  })
+
+  it('reports a missing object as a divergence', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const entries = readRecording(file)
+    entries[0].result.stuckMultiplier = { x: 0.25, y: 0.05, z: 0.25 }
+    const divergence = replayMovement(physics, entries, fakeWorld)
+    expect(divergence).toEqual({ tick: 1, field: 'stuckMultiplier', expected: { x: 0.25, y: 0.05, z: 0.25 }, actual: null, branch: 'ground', recordedBranch: 'ground' })
+  })
+})
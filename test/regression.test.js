@@ -0,0 +1,17 @@
+/* eslint-env mocha */
+
+const expect = require('expect')
+const { getRegressionVersions, loadFixtures, runFixture, loadSnapshot } = require('./regression/runner')
+
+describe('Movement regression fixtures', () => {
+  const versions = getRegressionVersions()
+  for (const fixture of loadFixtures()) {
+    it(`${fixture.name} matches its snapshots in ${versions.join(', ')}`, () => {
+      const snapshot = loadSnapshot(fixture)
+      for (const version of versions) {
+        const result = runFixture(fixture, version, snapshot)
+        expect({ version, ...result }).toEqual({ version, status: result.status === 'skip' ? 'skip' : 'pass' })
+      }
+    })
+  }
+})
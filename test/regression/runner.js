@@ -0,0 +1,201 @@
+const fs = require('fs')
+const path = require('path')
+const features = require('../../lib/features')
+const { Physics, PlayerState } = require('../../index')
+
+const fixturesDir = path.join(__dirname, 'fixtures')
+const snapshotsDir = path.join(__dirname, 'snapshots')
+
+const idleControls = {
+  forward: false,
+  back: false,
+  left: false,
+  right: false,
+  jump: false,
+  sprint: false,
+  sneak: false
+}
+
+function compareVersions (a, b) {
+  const partsA = a.split('.').map(Number)
+  const partsB = b.split('.').map(Number)
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] ?? 0) - (partsB[i] ?? 0)
+    if (diff !== 0) return diff
+  }
+  return 0
+}
+
+// Versions named in the conditions of lib/features.json, where the movement rules change
+function getRegressionVersions () {
+  const versions = new Set()
+  for (const feature of features) {
+    for (const condition of feature.versions.flat()) versions.add(condition.split(' ').pop())
+  }
+  return [...versions].sort(compareVersions)
+}
+
+function loadFixtures (dir = fixturesDir) {
+  return fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort().map(file => {
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))
+    fixture.file = path.join(dir, file)
+    return fixture
+  })
+}
+
+// A palette entry is a block name, or { name, properties, metadata }. The name can be an array of
+// alternative names, the first one existing in the version is used. Properties are used since 1.13,
+// metadata before.
+function createBlock (mcData, Block, entry) {
+  const spec = typeof entry === 'object' && !Array.isArray(entry) ? entry : { name: entry }
+  const names = [].concat(spec.name)
+  const descriptor = names.map(name => mcData.blocksByName[name]).find(block => block)
+  if (!descriptor) throw new Error(`No block named ${names.join(' or ')} in ${mcData.version.minecraftVersion}`)
+  if (spec.properties && descriptor.states?.length) return Block.fromProperties(descriptor.id, spec.properties, 0)
+  return new Block(descriptor.id, 0, spec.metadata ?? 0)
+}
+
+// layers[y][z][x] are palette keys relative to the origin, blocks outside of the region are the fill key
+function createFixtureWorld (fixture, version) {
+  const mcData = require('minecraft-data')(version)
+  const Block = require('prismarine-block')(version)
+  const [originX, originY, originZ] = fixture.origin
+  const fill = fixture.fill ?? '.'
+  for (const key of Object.keys(fixture.palette)) createBlock(mcData, Block, fixture.palette[key]) // check the palette
+  return {
+    getBlock: (pos) => {
+      const x = Math.floor(pos.x) - originX
+      const y = Math.floor(pos.y) - originY
+      const z = Math.floor(pos.z) - originZ
+      const key = fixture.layers[y]?.[z]?.[x] ?? fill
+      const block = createBlock(mcData, Block, fixture.palette[key])
+      block.position = pos.floored()
+      return block
+    }
+  }
+}
+
+// Positions of the player after each tick of the fixture inputs
+function simulateFixture (fixture, version) {
+  const mcData = require('minecraft-data')(version)
+  const world = createFixtureWorld(fixture, version)
+  const physics = Physics(mcData, world)
+  const start = fixture.start
+  const state = PlayerState.create(mcData, {
+    pos: { x: start.pos[0], y: start.pos[1], z: start.pos[2] },
+    vel: { x: 0, y: 0, z: 0 },
+    onGround: start.onGround ?? true,
+    yaw: start.yaw ?? 0,
+    pitch: start.pitch ?? 0,
+    control: idleControls,
+    jumpBoost: 0,
+    speed: 0,
+    slowness: 0,
+    dolphinsGrace: 0,
+    slowFalling: 0,
+    levitation: 0,
+    depthStrider: 0,
+    featherFalling: 0,
+    soulSpeed: 0,
+    elytraEquipped: false,
+    leatherBootsEquipped: false
+  })
+
+  const positions = []
+  for (const input of fixture.inputs) {
+    state.control = { ...idleControls, ...input.control }
+    if (input.yaw !== undefined) state.yaw = input.yaw
+    if (input.pitch !== undefined) state.pitch = input.pitch
+    for (let i = 0; i < input.ticks; i++) {
+      physics.simulatePlayer(state, world)
+      positions.push([state.pos.x, state.pos.y, state.pos.z])
+    }
+  }
+  return positions
+}
+
+function comparePositions (expected, positions, tolerance) {
+  for (let tick = 0; tick < expected.length; tick++) {
+    const actual = positions[tick]
+    if (!actual || actual.some((value, i) => Math.abs(value - expected[tick][i]) > tolerance)) {
+      return { status: 'fail', tick: tick + 1, expected: expected[tick], actual }
+    }
+  }
+  return { status: 'pass' }
+}
+
+// Snapshots are the positions simulated by this engine when they were last updated. They are not vanilla
+// positions, they only catch changes of the engine output
+function getSnapshotFile (fixture) {
+  return path.join(snapshotsDir, path.basename(fixture.file))
+}
+
+function loadSnapshot (fixture) {
+  const file = getSnapshotFile(fixture)
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { positions: {} }
+}
+
+// Compares the simulated positions with the snapshot of the version.
+// Returns { status } where status is 'pass', 'fail' (with the first diverging tick), 'skip' when the fixture
+// does not apply to the version, 'missing' when the snapshot has no positions for it, or 'error'
+function runFixture (fixture, version, snapshot = loadSnapshot(fixture), tolerance = 1e-5) {
+  if (fixture.since && compareVersions(version, fixture.since) < 0) return { status: 'skip' }
+  const expected = snapshot.positions[version]
+  if (!expected) return { status: 'missing' }
+
+  let positions
+  try {
+    positions = simulateFixture(fixture, version)
+  } catch (err) {
+    return { status: 'error', error: err.message }
+  }
+  return comparePositions(expected, positions, tolerance)
+}
+
+function runRegression (fixtures = loadFixtures(), versions = getRegressionVersions()) {
+  return {
+    versions,
+    rows: fixtures.map(fixture => {
+      const snapshot = loadSnapshot(fixture)
+      return {
+        name: fixture.name,
+        results: Object.fromEntries(versions.map(version => [version, runFixture(fixture, version, snapshot)]))
+      }
+    })
+  }
+}
+
+function formatMatrix (matrix) {
+  const cell = (result) => result.status === 'fail' ? `fail@${result.tick}` : result.status === 'skip' ? '-' : result.status
+  const table = [['fixture', ...matrix.versions], ...matrix.rows.map(row => [row.name, ...matrix.versions.map(version => cell(row.results[version]))])]
+  const widths = table[0].map((_, column) => Math.max(...table.map(line => line[column].length)))
+  return table.map(line => line.map((text, column) => text.padEnd(widths[column])).join('  ').trimEnd()).join('\n')
+}
+
+// one line per position
+function formatPositions (content) {
+  return JSON.stringify(content, null, 2).replace(/\[\s+([-\d.e+,\s]+?)\s+\]/g, (_, numbers) => `[${numbers.split(/,\s+/).join(', ')}]`) + '\n'
+}
+
+// Record the positions simulated by this engine as the snapshots of the fixtures
+function updateSnapshots (fixtures = loadFixtures(), versions = getRegressionVersions()) {
+  fs.mkdirSync(snapshotsDir, { recursive: true })
+  for (const fixture of fixtures) {
+    const snapshot = { source: 'prismarine-physics', positions: {} }
+    for (const version of versions) {
+      if (fixture.since && compareVersions(version, fixture.since) < 0) continue
+      snapshot.positions[version] = simulateFixture(fixture, version)
+    }
+    fs.writeFileSync(getSnapshotFile(fixture), formatPositions(snapshot))
+  }
+}
+
+if (require.main === module) {
+  if (process.argv.includes('--update-snapshots')) updateSnapshots()
+  const matrix = runRegression()
+  console.log(formatMatrix(matrix))
+  const failed = matrix.rows.some(row => Object.values(row.results).some(result => !['pass', 'skip'].includes(result.status)))
+  process.exitCode = failed ? 1 : 0
+}
+
+module.exports = { getRegressionVersions, loadFixtures, createFixtureWorld, simulateFixture, loadSnapshot, runFixture, runRegression, formatMatrix, updateSnapshots }
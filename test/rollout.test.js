@@ -0,0 +1,106 @@
+/* eslint-env mocha */
+
+const { Physics, PlayerState } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+
+const mcData = require('minecraft-data')('1.13.2')
+const Block = require('prismarine-block')('1.13.2')
+
+const fakeWorld = {
+  getBlock: (pos) => {
+    const type = (pos.y < 60) ? mcData.blocksByName.stone.id : mcData.blocksByName.air.id
+    const b = new Block(type, 0, 0)
+    b.position = pos.clone()
+    return b
+  }
+}
+
+function fakePlayer (pos) {
+  return {
+    entity: {
+      position: pos,
+      velocity: new Vec3(0, 0, 0),
+      onGround: false,
+      isInWater: false,
+      isInLava: false,
+      isInWeb: false,
+      isCollidedHorizontally: false,
+      isCollidedVertically: false,
+      elytraFlying: false,
+      yaw: 0,
+      pitch: 0,
+      effects: {}
+    },
+    jumpTicks: 0,
+    jumpQueued: false,
+    fireworkRocketDuration: 0,
+    version: '1.13.2',
+    inventory: {
+      slots: []
+    }
+  }
+}
+
+const controls = {
+  forward: false,
+  back: false,
+  left: false,
+  right: false,
+  jump: false,
+  sprint: false,
+  sneak: false
+}
+
+describe('Rollout tests', () => {
+  it('clones share no mutable values with the original', () => {
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 60, 0.5)), { ...controls })
+    const clone = state.clone()
+    expect(clone).toBeInstanceOf(PlayerState)
+    expect(clone).toEqual(state)
+    expect(clone.pos).not.toBe(state.pos)
+    expect(clone.vel).not.toBe(state.vel)
+    expect(clone.control).not.toBe(state.control)
+  })
+
+  it('does not mutate the given state', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const control = { ...controls, forward: true }
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 60, 0.5)), control)
+    const { snapshots, stopped } = physics.rollout(state, control, 20, fakeWorld)
+    expect(stopped).toBeFalsy()
+    expect(snapshots.length).toEqual(20)
+    expect(snapshots[19].tick).toEqual(20)
+    expect(snapshots[19].pos.z).toBeLessThan(-1)
+    expect(snapshots[19].pos).not.toBeInstanceOf(Vec3)
+    expect(state.pos).toEqual(new Vec3(0.5, 60, 0.5))
+    expect(state.control).toBe(control)
+  })
+
+  it('calls the control function every tick', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 60, 0.5)), { ...controls })
+    state.onGround = true
+    const ticks = []
+    const { snapshots } = physics.rollout(state, (state, tick) => {
+      ticks.push(tick)
+      return { ...controls, jump: tick === 0 }
+    }, 20, fakeWorld)
+    expect(ticks).toEqual([...Array(20).keys()])
+    expect(snapshots[0].vel.y).toBeGreaterThan(0)
+    expect(snapshots[19].onGround).toBeTruthy()
+  })
+
+  it('stops when a condition is met', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 70, 0.5)), { ...controls })
+    const below = physics.rollout(state, controls, 100, fakeWorld, { until: physics.rolloutConditions.belowY(65) })
+    expect(below.stopped).toBeTruthy()
+    expect(below.state.pos.y).toBeLessThan(65)
+    expect(below.state.onGround).toBeFalsy()
+    const landed = physics.rollout(state, controls, 100, fakeWorld, { until: [physics.rolloutConditions.enteredWater, physics.rolloutConditions.landed] })
+    expect(landed.stopped).toBeTruthy()
+    expect(landed.state.pos.y).toEqual(60)
+    expect(landed.snapshots.length).toBeLessThan(100)
+  })
+})
@@ -0,0 +1,119 @@
+/* eslint-env mocha */
+
+const { Physics, PlayerState } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+
+const version = '1.20.4'
+const mcData = require('minecraft-data')(version)
+const Block = require('prismarine-block')(version)
+
+function scaffolding (properties) {
+  return Block.fromProperties(mcData.blocksByName.scaffolding.id, { waterlogged: false, ...properties }, 0)
+}
+
+// Stone below y = 60, with blocks from getScaffolding(x, y, z) above it
+function makeWorld (getScaffolding) {
+  return {
+    getBlock: (pos) => {
+      const [x, y, z] = [Math.floor(pos.x), Math.floor(pos.y), Math.floor(pos.z)]
+      const b = y < 60 ? new Block(mcData.blocksByName.stone.id, 0, 0) : getScaffolding(x, y, z) ?? new Block(mcData.blocksByName.air.id, 0, 0)
+      b.position = new Vec3(x, y, z)
+      return b
+    }
+  }
+}
+
+// A tower of scaffolding at x = 0, z = 0 from y = 60 to 64
+const tower = makeWorld((x, y, z) => x === 0 && z === 0 && y < 65 ? scaffolding({ distance: 0, bottom: false }) : null)
+
+function fakePlayer (pos) {
+  return {
+    entity: {
+      position: pos,
+      velocity: new Vec3(0, 0, 0),
+      onGround: false,
+      isInWater: false,
+      isInLava: false,
+      isInWeb: false,
+      isCollidedHorizontally: false,
+      isCollidedVertically: false,
+      elytraFlying: false,
+      yaw: 0,
+      pitch: 0,
+      effects: {}
+    },
+    jumpTicks: 0,
+    jumpQueued: false,
+    fireworkRocketDuration: 0,
+    version,
+    inventory: {
+      slots: []
+    }
+  }
+}
+
+const controls = {
+  forward: false,
+  back: false,
+  left: false,
+  right: false,
+  jump: false,
+  sprint: false,
+  sneak: false
+}
+
+describe('Scaffolding tests', () => {
+  it('holds the player standing on top of it', () => {
+    const physics = Physics(mcData, tower)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 66, 0.5)), controls)
+    for (let i = 0; i < 20; i++) physics.simulatePlayer(state, tower)
+    expect(state.pos.y).toEqual(65)
+    expect(state.onGround).toBeTruthy()
+  })
+
+  it('sneaking descends inside it at the ladder speed', () => {
+    const physics = Physics(mcData, tower)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 65, 0.5)), { ...controls, sneak: true })
+    state.onGround = true
+    let lastY = state.pos.y
+    for (let i = 0; i < 60; i++) {
+      physics.simulatePlayer(state, tower)
+      expect(lastY - state.pos.y).toBeLessThanOrEqual(physics.ladderMaxSpeed + 1e-9)
+      lastY = state.pos.y
+    }
+    expect(state.pos.y).toEqual(60)
+    expect(state.fallDamage).toEqual(0)
+  })
+
+  it('jumping climbs it up to its top', () => {
+    const physics = Physics(mcData, tower)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 60, 0.5)), { ...controls, jump: true })
+    state.onGround = true
+    for (let i = 0; i < 60; i++) physics.simulatePlayer(state, tower)
+    expect(state.pos.y).toBeGreaterThan(65)
+
+    state.control = controls
+    for (let i = 0; i < 20; i++) physics.simulatePlayer(state, tower)
+    expect(state.pos.y).toEqual(65)
+  })
+
+  it('the player walks through its legs when inside it', () => {
+    const row = makeWorld((x, y, z) => x === 0 && z <= 0 && z >= -4 && y === 60 ? scaffolding({ distance: 0, bottom: false }) : null)
+    const physics = Physics(mcData, row)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 60, 0.5)), { ...controls, forward: true })
+    state.onGround = true
+    for (let i = 0; i < 20; i++) physics.simulatePlayer(state, row)
+    expect(state.pos.z).toBeLessThan(-2)
+    expect(state.isCollidedHorizontally).toBeFalsy()
+  })
+
+  it('the bottom of unsupported scaffolding holds the player inside it', () => {
+    const world = makeWorld((x, y, z) => x === 0 && z === 0 && y === 62 ? scaffolding({ distance: 1, bottom: true }) : null)
+    const physics = Physics(mcData, world)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 62.5, 0.5)), controls)
+    for (let i = 0; i < 20; i++) physics.simulatePlayer(state, world)
+    expect(state.pos.y).toEqual(62.125)
+    expect(state.onGround).toBeTruthy()
+  })
+})
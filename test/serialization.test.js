@@ -0,0 +1,114 @@
+/* eslint-env mocha */
+
+const { Physics, PlayerState } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+
+const mcData = require('minecraft-data')('1.13.2')
+const Block = require('prismarine-block')('1.13.2')
+
+const fakeWorld = {
+  getBlock: (pos) => {
+    const type = (pos.y < 60) ? mcData.blocksByName.stone.id : mcData.blocksByName.air.id
+    const b = new Block(type, 0, 0)
+    b.position = pos.clone()
+    return b
+  }
+}
+
+function fakePlayer (pos) {
+  return {
+    entity: {
+      position: pos,
+      velocity: new Vec3(0, 0, 0),
+      onGround: false,
+      isInWater: false,
+      isInLava: false,
+      isInWeb: false,
+      isCollidedHorizontally: false,
+      isCollidedVertically: false,
+      elytraFlying: false,
+      yaw: 0,
+      pitch: 0,
+      effects: {}
+    },
+    jumpTicks: 0,
+    jumpQueued: false,
+    fireworkRocketDuration: 0,
+    version: '1.13.2',
+    inventory: {
+      slots: []
+    }
+  }
+}
+
+const controls = {
+  forward: true,
+  back: false,
+  left: false,
+  right: false,
+  jump: false,
+  sprint: false,
+  sneak: false
+}
+
+const fields = {
+  pos: { x: 0.5, y: 60, z: 0.5 },
+  vel: { x: 0, y: 0, z: 0 },
+  onGround: true,
+  yaw: 0,
+  pitch: 0,
+  control: controls,
+  jumpBoost: 0,
+  speed: 2,
+  slowness: 0,
+  dolphinsGrace: 0,
+  slowFalling: 0,
+  levitation: 0,
+  depthStrider: 0,
+  featherFalling: 0,
+  soulSpeed: 0,
+  elytraEquipped: false,
+  leatherBootsEquipped: false
+}
+
+describe('Serialization tests', () => {
+  it('states survive a JSON round trip', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 70, 0.5)), { ...controls })
+    physics.simulatePlayer(state, fakeWorld)
+    const copy = PlayerState.fromJSON(JSON.stringify(state))
+    expect(copy).toBeInstanceOf(PlayerState)
+    expect(copy.pos).toBeInstanceOf(Vec3)
+    expect(copy.toJSON()).toEqual(state.toJSON())
+    for (let i = 0; i < 40; i++) {
+      physics.simulatePlayer(state, fakeWorld)
+      physics.simulatePlayer(copy, fakeWorld)
+    }
+    expect(copy.pos).toEqual(state.pos)
+    expect(copy.vel).toEqual(state.vel)
+  })
+
+  it('creates states without a bot', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const state = PlayerState.create(mcData, fields)
+    expect(state.version).toEqual('1.13.2')
+    expect(state.isInWater).toEqual(false)
+    expect(state.control).not.toBe(controls)
+    for (let i = 0; i < 20; i++) physics.simulatePlayer(state, fakeWorld)
+    expect(state.pos.z).toBeLessThan(-2)
+    expect(fields.pos).toEqual({ x: 0.5, y: 60, z: 0.5 })
+  })
+
+  it('validates the fields', () => {
+    const { depthStrider, ...missing } = fields
+    expect(() => PlayerState.create(mcData, missing)).toThrow("Missing PlayerState field 'depthStrider'")
+    expect(() => PlayerState.create(mcData, { ...fields, pos: { x: 0, y: 0 } })).toThrow("PlayerState field 'pos' should be a vec3")
+    expect(() => PlayerState.create(mcData, { ...fields, speed: '2' })).toThrow("PlayerState field 'speed' should be a number")
+    const { soulSpeed, ...noSoulSpeed } = fields
+    expect(() => PlayerState.create(mcData, noSoulSpeed)).toThrow("Missing PlayerState field 'soulSpeed'")
+    expect(() => PlayerState.create(mcData, { ...fields, leatherBootsEquipped: 1 })).toThrow("PlayerState field 'leatherBootsEquipped' should be a boolean")
+    expect(() => PlayerState.create(mcData, { ...fields, onGroud: true })).toThrow("Unknown PlayerState field 'onGroud'")
+    expect(() => PlayerState.fromJSON({ ...fields, version: '0.0' })).toThrow("Unsupported PlayerState version '0.0'")
+  })
+})
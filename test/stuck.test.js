@@ -0,0 +1,130 @@
+/* eslint-env mocha */
+
+const { Physics, PlayerState, EntityState } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+
+const version = '1.20.4'
+const mcData = require('minecraft-data')(version)
+const Block = require('prismarine-block')(version)
+
+// A layer of the given block at y = 60 on stone, air above
+function makeWorld (name) {
+  return {
+    getBlock: (pos) => {
+      const type = pos.y < 60 ? 'stone' : pos.y < 61 ? name : 'air'
+      const b = new Block(mcData.blocksByName[type].id, 0, 0)
+      b.position = pos.clone()
+      return b
+    }
+  }
+}
+
+function fakePlayer (pos) {
+  return {
+    entity: {
+      position: pos,
+      velocity: new Vec3(0, 0, 0),
+      onGround: true,
+      isInWater: false,
+      isInLava: false,
+      isInWeb: false,
+      isCollidedHorizontally: false,
+      isCollidedVertically: false,
+      elytraFlying: false,
+      yaw: 0,
+      pitch: 0,
+      effects: {}
+    },
+    jumpTicks: 0,
+    jumpQueued: false,
+    fireworkRocketDuration: 0,
+    version,
+    inventory: {
+      slots: []
+    }
+  }
+}
+
+const walking = {
+  forward: true,
+  back: false,
+  left: false,
+  right: false,
+  jump: false,
+  sprint: false,
+  sneak: false
+}
+
+// Distance walked in 20 ticks
+function walk (physics, world, state = new PlayerState(fakePlayer(new Vec3(0.5, 60, 0.5)), walking)) {
+  for (let i = 0; i < 20; i++) physics.simulatePlayer(state, world)
+  return { state, distance: 0.5 - state.pos.z }
+}
+
+describe('Stuck in block tests', () => {
+  it('exposes the cobweb the player is stuck in and its multiplier', () => {
+    const world = makeWorld('cobweb')
+    const physics = Physics(mcData, world)
+    const { state, distance } = walk(physics, world)
+    const webId = mcData.blocksByName.cobweb.id
+    expect(state.stuckInBlock).toEqual(webId)
+    expect(state.stuckMultiplier).toEqual({ x: 0.25, y: 0.05, z: 0.25 })
+    expect(state.stuckMultiplier).not.toBe(physics.stuckInBlockMultipliers[webId])
+    expect(state.snapshot().stuckMultiplier).not.toBe(state.stuckMultiplier)
+    expect(state.isInWeb).toBeTruthy()
+    expect(distance).toBeLessThan(walk(physics, makeWorld('air')).distance * 0.25)
+  })
+
+  it('sweet berry bushes slow down players less than cobwebs', () => {
+    const physics = Physics(mcData, makeWorld('air'))
+    const { state, distance } = walk(physics, makeWorld('sweet_berry_bush'))
+    expect(state.stuckInBlock).toEqual(mcData.blocksByName.sweet_berry_bush.id)
+    expect(state.isInWeb).toBeFalsy()
+    expect(distance).toBeGreaterThan(walk(physics, makeWorld('cobweb')).distance)
+    expect(distance).toBeLessThan(walk(physics, makeWorld('air')).distance)
+  })
+
+  it('foxes go through sweet berry bushes', () => {
+    const world = makeWorld('sweet_berry_bush')
+    const physics = Physics(mcData, world)
+    const fox = new EntityState({ name: 'fox', position: new Vec3(0.5, 62, 0.5), velocity: new Vec3(0, 0, 0), onGround: false })
+    for (let i = 0; i < 20; i++) physics.simulateEntity(fox, world)
+    expect(fox.stuckInBlock).toEqual(null)
+    const cow = new EntityState({ name: 'cow', position: new Vec3(0.5, 62, 0.5), velocity: new Vec3(0, 0, 0), onGround: false })
+    for (let i = 0; i < 20; i++) physics.simulateEntity(cow, world)
+    expect(cow.stuckInBlock).toEqual(mcData.blocksByName.sweet_berry_bush.id)
+  })
+
+  it('only living entities get stuck in sweet berry bushes', () => {
+    const world = makeWorld('sweet_berry_bush')
+    const physics = Physics(mcData, world)
+    for (const name of ['item', 'arrow', 'boat']) {
+      const entity = new EntityState({ name, position: new Vec3(0.5, 62, 0.5), velocity: new Vec3(0, 0, 0), onGround: false })
+      for (let i = 0; i < 20; i++) physics.simulateEntity(entity, world)
+      expect(entity.stuckInBlock).toEqual(null)
+    }
+  })
+
+  it('blocks can be registered with their own multiplier', () => {
+    const world = makeWorld('short_grass')
+    const physics = Physics(mcData, world)
+    const grassId = mcData.blocksByName.short_grass.id
+    physics.stuckInBlockMultipliers[grassId] = { x: 0.5, y: 0.5, z: 0.5 }
+    const { state, distance } = walk(physics, world)
+    expect(state.stuckInBlock).toEqual(grassId)
+    expect(state.stuckMultiplier).toEqual({ x: 0.5, y: 0.5, z: 0.5 })
+    expect(distance).toBeLessThan(walk(physics, makeWorld('air')).distance * 0.5)
+  })
+
+  it('states only setting isInWeb are stuck in a cobweb', () => {
+    const world = makeWorld('air')
+    const physics = Physics(mcData, world)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 60, 0.5)), walking)
+    state.vel = new Vec3(0, 0, -0.2)
+    state.isInWeb = true
+    physics.simulatePlayer(state, world)
+    expect(state.pos.z).toBeGreaterThan(0.5 - 0.1)
+    expect(state.isInWeb).toBeFalsy()
+  })
+})
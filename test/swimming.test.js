@@ -0,0 +1,121 @@
+/* eslint-env mocha */
+
+const { Physics, PlayerState } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+
+// Stone below y = 40, water up to y = 60, air above
+function makeWorld (version) {
+  const mcData = require('minecraft-data')(version)
+  const Block = require('prismarine-block')(version)
+  return {
+    getBlock: (pos) => {
+      const type = pos.y < 40 ? 'stone' : pos.y < 60 ? 'water' : 'air'
+      const b = new Block(mcData.blocksByName[type].id, 0, 0)
+      b.position = pos.clone()
+      return b
+    }
+  }
+}
+
+function fakePlayer (pos, pitch, version) {
+  return {
+    entity: {
+      position: pos,
+      velocity: new Vec3(0, 0, 0),
+      onGround: false,
+      isInWater: true,
+      isInLava: false,
+      isInWeb: false,
+      isCollidedHorizontally: false,
+      isCollidedVertically: false,
+      elytraFlying: false,
+      yaw: 0,
+      pitch,
+      effects: {}
+    },
+    jumpTicks: 0,
+    jumpQueued: false,
+    fireworkRocketDuration: 0,
+    version,
+    inventory: {
+      slots: []
+    }
+  }
+}
+
+const controls = {
+  forward: true,
+  back: false,
+  left: false,
+  right: false,
+  jump: false,
+  sprint: true,
+  sneak: false
+}
+
+function passTicks (ticks, physics, state, world) {
+  for (let i = 0; i < ticks; i++) {
+    physics.simulatePlayer(state, world)
+  }
+}
+
+describe('Swimming tests', () => {
+  const version = '1.14.4'
+  const mcData = require('minecraft-data')(version)
+  const world = makeWorld(version)
+
+  it('sprinting under water starts swimming towards the look direction', () => {
+    const physics = Physics(mcData, world)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 50, 0.5), -Math.PI / 4, version), { ...controls })
+    physics.simulatePlayer(state, world)
+    expect(state.swimming).toBeTruthy()
+    expect(state.pose).toEqual('swimming')
+    passTicks(20, physics, state, world)
+    expect(state.pos.y).toBeLessThan(48)
+    expect(state.pos.z).toBeLessThan(-2)
+  })
+
+  it('swims faster than walking in water', () => {
+    const physics = Physics(mcData, world)
+    const swimming = new PlayerState(fakePlayer(new Vec3(0.5, 50, 0.5), 0, version), { ...controls })
+    const walking = new PlayerState(fakePlayer(new Vec3(0.5, 50, 0.5), 0, version), { ...controls, sprint: false })
+    passTicks(40, physics, swimming, world)
+    passTicks(40, physics, walking, world)
+    expect(walking.swimming).toBeFalsy()
+    expect(swimming.pos.z).toBeLessThan(walking.pos.z * 1.5)
+    expect(walking.pos.y).toBeLessThan(49.5)
+    expect(swimming.pos.y).toBeCloseTo(50, 1)
+  })
+
+  it('stays at the surface when looking up without jumping', () => {
+    const physics = Physics(mcData, world)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 55, 0.5), Math.PI / 4, version), { ...controls })
+    passTicks(200, physics, state, world)
+    expect(state.swimming).toBeTruthy()
+    expect(state.isInWater).toBeTruthy()
+    expect(state.pos.y).toBeGreaterThan(58.5)
+    expect(state.pos.y).toBeLessThan(60)
+  })
+
+  it('stops swimming when no longer sprinting', () => {
+    const physics = Physics(mcData, world)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 50, 0.5), 0, version), { ...controls })
+    passTicks(5, physics, state, world)
+    expect(state.swimming).toBeTruthy()
+    state.control = { ...controls, sprint: false }
+    physics.simulatePlayer(state, world)
+    expect(state.swimming).toBeFalsy()
+    expect(state.pose).toEqual('standing')
+  })
+
+  it('does not swim before 1.13', () => {
+    const version = '1.12'
+    const world = makeWorld(version)
+    const physics = Physics(require('minecraft-data')(version), world)
+    const state = new PlayerState(fakePlayer(new Vec3(0.5, 50, 0.5), -Math.PI / 4, version), { ...controls })
+    passTicks(20, physics, state, world)
+    expect(state.swimming).toBeFalsy()
+    expect(state.pose).toEqual('standing')
+  })
+})
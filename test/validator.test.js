@@ -0,0 +1,129 @@
+/* eslint-env mocha */
+
+const { Physics, PlayerState } = require('prismarine-physics')
+const { Vec3 } = require('vec3')
+const expect = require('expect')
+
+const mcData = require('minecraft-data')('1.13.2')
+const Block = require('prismarine-block')('1.13.2')
+
+const fakeWorld = {
+  getBlock: (pos) => {
+    const type = (pos.y < 60) ? mcData.blocksByName.stone.id : mcData.blocksByName.air.id
+    const b = new Block(type, 0, 0)
+    b.position = pos.clone()
+    return b
+  }
+}
+
+const controls = {
+  forward: false,
+  back: false,
+  left: false,
+  right: false,
+  jump: false,
+  sprint: false,
+  sneak: false
+}
+
+function standingState () {
+  return PlayerState.create(mcData, {
+    pos: { x: 0.5, y: 60, z: 0.5 },
+    vel: { x: 0, y: 0, z: 0 },
+    onGround: true,
+    yaw: 0,
+    pitch: 0,
+    control: controls,
+    jumpBoost: 0,
+    speed: 0,
+    slowness: 0,
+    dolphinsGrace: 0,
+    slowFalling: 0,
+    levitation: 0,
+    depthStrider: 0,
+    featherFalling: 0,
+    soulSpeed: 0,
+    elytraEquipped: false,
+    leatherBootsEquipped: false
+  })
+}
+
+describe('Movement validator tests', () => {
+  it('accepts positions reached by legal inputs', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const previous = standingState()
+
+    const walked = physics.rollout(previous, { ...controls, forward: true, sprint: true }, 1, fakeWorld).state
+    const result = physics.validateMovement(previous, walked.pos, walked.onGround, fakeWorld)
+    expect(result.plausible).toBeTruthy()
+    expect(result.distance).toEqual(0)
+
+    const jumped = physics.rollout(previous, { ...controls, jump: true }, 1, fakeWorld).state
+    expect(physics.validateMovement(previous, jumped.pos, false, fakeWorld).plausible).toBeTruthy()
+    expect(previous.pos).toEqual(new Vec3(0.5, 60, 0.5))
+  })
+
+  it('accepts yaws between the sampled ones', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const previous = standingState()
+    previous.vel = new Vec3(0.1, 0, 0)
+    for (const yaw of [0.2, 1.1, 2.5, 5.5]) {
+      const state = previous.clone()
+      state.yaw = yaw
+      const walked = physics.rollout(state, { ...controls, forward: true, sprint: true, jump: true }, 1, fakeWorld).state
+      const result = physics.validateMovement(previous, walked.pos, walked.onGround, fakeWorld)
+      expect(result.plausible).toBeTruthy()
+      expect(result.nearest.yaw).toBeCloseTo(yaw, 2)
+    }
+  })
+
+  it('rejects positions out of reach', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const previous = standingState()
+
+    const speedHack = physics.validateMovement(previous, new Vec3(0.5, 60, -0.5), true, fakeWorld)
+    expect(speedHack.plausible).toBeFalsy()
+    expect(speedHack.distance).toBeGreaterThan(0.5)
+    expect(speedHack.nearest.pos.z).toBeGreaterThan(0)
+
+    const flyHack = physics.validateMovement(previous, new Vec3(0.5, 61, 0.5), false, fakeWorld)
+    expect(flyHack.plausible).toBeFalsy()
+    expect(flyHack.distance).toBeCloseTo(1 - 0.42, 2)
+  })
+
+  it('rejects diagonal moves combining the longest moves of each axis', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const previous = standingState()
+    const sprinted = physics.rollout(previous, { ...controls, forward: true, sprint: true }, 1, fakeWorld).state
+    const reach = previous.pos.z - sprinted.pos.z
+    const diagonal = physics.validateMovement(previous, previous.pos.offset(reach, 0, -reach), true, fakeWorld)
+    expect(diagonal.plausible).toBeFalsy()
+    expect(diagonal.distance).toBeCloseTo(reach * (Math.SQRT2 - 1), 2)
+  })
+
+  it('rejects onGround flags that cannot be reached', () => {
+    const physics = Physics(mcData, fakeWorld)
+    const previous = standingState()
+    previous.pos.y = 65
+    previous.onGround = false
+
+    const result = physics.validateMovement(previous, previous.pos, true, fakeWorld)
+    expect(result.onGroundReachable).toBeFalsy()
+    expect(result.plausible).toBeFalsy()
+  })
+
+  it('only tries jumping when it can change the movement', () => {
+    const physics = Physics(mcData, fakeWorld)
+    let simulations = 0
+    const simulatePlayer = physics.simulatePlayer
+    physics.simulatePlayer = (state, world) => { simulations++; return simulatePlayer(state, world) }
+    const previous = standingState()
+    physics.validateMovement(previous, previous.pos, true, fakeWorld, { yaws: [0] })
+    expect(simulations).toEqual(42)
+    simulations = 0
+    previous.pos.y = 65
+    previous.onGround = false
+    physics.validateMovement(previous, previous.pos, false, fakeWorld, { yaws: [0] })
+    expect(simulations).toEqual(21)
+  })
+})